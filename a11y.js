@@ -0,0 +1,107 @@
+// Accessibility helpers
+// Keyboard support and ARIA state for the tab bar and expandable cards, keeping keyboard focus
+// in place when results re-render, and announcing result counts to screen readers.
+
+/**
+ * Wire up a role="tablist": every tab controls `panelId`, only the selected tab is in the tab
+ * order, and arrow keys, Home and End move between tabs (activating them, like a click)
+ */
+function setupTabList(tablist, panelId) {
+    const tabs = [...tablist.querySelectorAll('[role="tab"]')];
+    const panel = document.getElementById(panelId);
+    panel.setAttribute('role', 'tabpanel');
+
+    for (const tab of tabs) {
+        if (!tab.id) tab.id = `tab-${tab.dataset.tab}`;
+        tab.setAttribute('aria-controls', panelId);
+    }
+
+    tablist.addEventListener('keydown', (e) => {
+        const index = tabs.indexOf(e.target);
+        if (index === -1) return;
+
+        let next = null;
+        if (e.key === 'ArrowRight' || e.key === 'ArrowDown') {
+            next = tabs[(index + 1) % tabs.length];
+        } else if (e.key === 'ArrowLeft' || e.key === 'ArrowUp') {
+            next = tabs[(index - 1 + tabs.length) % tabs.length];
+        } else if (e.key === 'Home') {
+            next = tabs[0];
+        } else if (e.key === 'End') {
+            next = tabs[tabs.length - 1];
+        }
+        if (!next) return;
+
+        e.preventDefault();
+        next.focus();
+        next.click();
+    });
+
+    syncTabList(tablist);
+}
+
+/**
+ * Update the roving tabindex and the panel's label after the selected tab changes
+ */
+function syncTabList(tablist) {
+    let selected = null;
+    for (const tab of tablist.querySelectorAll('[role="tab"]')) {
+        const isSelected = tab.getAttribute('aria-selected') === 'true';
+        tab.tabIndex = isSelected ? 0 : -1;
+        if (isSelected) selected = tab;
+    }
+
+    const panelId = selected?.getAttribute('aria-controls');
+    if (panelId) document.getElementById(panelId).setAttribute('aria-labelledby', selected.id);
+}
+
+/**
+ * Let Enter and Space press role="button" elements that aren't real buttons (card toggles)
+ */
+function setupButtonKeys(container) {
+    container.addEventListener('keydown', (e) => {
+        if (e.key !== 'Enter' && e.key !== ' ') return;
+        const target = e.target.closest('[role="button"]');
+        if (!target || target.tagName === 'BUTTON' || !container.contains(target)) return;
+
+        e.preventDefault();
+        target.click();
+    });
+}
+
+/**
+ * Get the focus key (data-focus-key) of the focused element inside `container`, if any
+ */
+function captureFocus(container) {
+    const active = document.activeElement;
+    if (!active || active === container || !container.contains(active)) return null;
+    return active.closest('[data-focus-key]')?.dataset.focusKey || null;
+}
+
+/**
+ * Move focus back to the element with a focus key after its HTML was replaced
+ */
+function restoreFocus(container, key) {
+    if (!key || (container.contains(document.activeElement) && captureFocus(container) === key)) return;
+    const target = container.querySelector(`[data-focus-key="${CSS.escape(key)}"]`);
+    if (target) target.focus({ preventScroll: true });
+}
+
+/**
+ * Run a render that replaces `container`'s HTML, keeping focus on the same element
+ */
+function preserveFocus(container, render) {
+    const key = captureFocus(container);
+    render();
+    restoreFocus(container, key);
+}
+
+/**
+ * Announce a message through a live region.
+ * Cleared first so the same message (e.g. the same count twice) is read again.
+ */
+function announce(regionId, message) {
+    const region = document.getElementById(regionId);
+    region.textContent = '';
+    setTimeout(() => { region.textContent = message; }, 100);
+}
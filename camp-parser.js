@@ -0,0 +1,187 @@
+// Camp name parser
+// Turns camp names like "6/22-6/25 Fairy Tale Fantasy Camp FULL DAY 8:30am - 4:00 pm $420" into
+// structured records (dates, theme, half/full day, hours, price) and groups them into a
+// week-by-week calendar.
+
+// Date range at the start of the name: "3/23-3/27", "3/30 - 4/3", "7/13- 7/16", "6/8-11" or "5/8"
+const CAMP_DATES_PATTERN = /^\s*(\d{1,2})\/(\d{1,2})(?:\s*-\s*(?:(\d{1,2})\/)?(\d{1,2}))?\b/;
+const CAMP_SESSION_PATTERN = /\b(HALF|FULL)\s+DAY\b/i;
+const CAMP_HOURS_PATTERN = /(\d{1,2}):(\d{2})\s*(am|pm)?\s*-\s*(\d{1,2}):(\d{2})\s*(am|pm)?/i;
+const CAMP_PRICE_PATTERN = /\$\s*(\d+(?:\.\d{2})?)/;
+
+// Order of the variants of a theme within a week
+const CAMP_SESSION_ORDER = { full: 0, half: 1 };
+
+const MONTH_LABELS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+/**
+ * Format a Date as a local "YYYY-MM-DD" key
+ */
+function toDateKey(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Format a Date as "Jun 8"
+ */
+function formatShortDate(date) {
+    return `${MONTH_LABELS[date.getMonth()]} ${date.getDate()}`;
+}
+
+/**
+ * Format a date range as "Jun 8–11", "Jun 29–Jul 2" or "May 8"
+ */
+function formatDateRange(start, end) {
+    if (toDateKey(start) === toDateKey(end)) return formatShortDate(start);
+    if (start.getMonth() === end.getMonth()) return `${formatShortDate(start)}–${end.getDate()}`;
+    return `${formatShortDate(start)}–${formatShortDate(end)}`;
+}
+
+/**
+ * Get the Monday of the week a date falls in
+ */
+function getWeekStart(date) {
+    const monday = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    monday.setDate(monday.getDate() - ((monday.getDay() + 6) % 7));
+    return monday;
+}
+
+/**
+ * Camp names leave out the year: use whichever year puts the month/day closest to the reference date
+ */
+function resolveCampDate(month, day, referenceDate) {
+    const year = referenceDate.getFullYear();
+    const candidates = [year - 1, year, year + 1].map(y => new Date(y, month - 1, day));
+    return candidates.reduce((best, date) =>
+        Math.abs(date - referenceDate) < Math.abs(best - referenceDate) ? date : best
+    );
+}
+
+/**
+ * Parse a camp name into { name, theme, startDate, endDate, dateLabel, weekKey, session, sessionLabel,
+ * startMinutes, endMinutes, timeLabel, price }.
+ * `session` is 'half', 'full' or null; times and price are null when missing. Returns null for
+ * names with no date range (one-off events like "Friday Fun Days!").
+ */
+function parseCampName(name, referenceDate = new Date()) {
+    if (typeof name !== 'string') return null;
+
+    const dates = name.match(CAMP_DATES_PATTERN);
+    if (!dates) return null;
+
+    const startMonth = parseInt(dates[1], 10);
+    const startDay = parseInt(dates[2], 10);
+    const endMonth = dates[3] ? parseInt(dates[3], 10) : startMonth;
+    const endDay = dates[4] ? parseInt(dates[4], 10) : startDay;
+    if (startMonth < 1 || startMonth > 12 || endMonth < 1 || endMonth > 12) return null;
+
+    const startDate = resolveCampDate(startMonth, startDay, referenceDate);
+    const endDate = new Date(startDate.getFullYear(), endMonth - 1, endDay);
+    // A range like 12/29-1/2 runs into the next year
+    if (endDate < startDate) endDate.setFullYear(endDate.getFullYear() + 1);
+
+    const rest = name.slice(dates[0].length);
+    const sessionMatch = rest.match(CAMP_SESSION_PATTERN);
+    const hoursMatch = rest.match(CAMP_HOURS_PATTERN);
+    const priceMatch = rest.match(CAMP_PRICE_PATTERN);
+
+    // Theme is whatever comes before the session, hours or price
+    const themeEnd = Math.min(...[sessionMatch, hoursMatch, priceMatch]
+        .filter(Boolean)
+        .map(match => match.index), rest.length);
+    const theme = rest.slice(0, themeEnd).replace(/[\s\-–]+$/, '').replace(/\s+/g, ' ').trim();
+
+    const startMinutes = hoursMatch ? toMinutesOfDay(parseInt(hoursMatch[1], 10), parseInt(hoursMatch[2], 10), hoursMatch[3]) : null;
+    const endMinutes = hoursMatch ? toMinutesOfDay(parseInt(hoursMatch[4], 10), parseInt(hoursMatch[5], 10), hoursMatch[6]) : null;
+
+    const session = sessionMatch ? sessionMatch[1].toLowerCase() : null;
+    let sessionLabel = '';
+    if (session === 'full') {
+        sessionLabel = 'Full day';
+    } else if (session === 'half') {
+        sessionLabel = startMinutes !== null && startMinutes >= 12 * 60 ? 'Half day (PM)' : 'Half day (AM)';
+    }
+
+    return {
+        name,
+        theme: theme || name,
+        startDate,
+        endDate,
+        dateLabel: formatDateRange(startDate, endDate),
+        weekKey: toDateKey(getWeekStart(startDate)),
+        session,
+        sessionLabel,
+        startMinutes,
+        endMinutes,
+        timeLabel: startMinutes !== null ? `${formatMinutesOfDay(startMinutes)} – ${formatMinutesOfDay(endMinutes)}` : '',
+        price: priceMatch ? Number(priceMatch[1]) : null,
+    };
+}
+
+/**
+ * Build camp records from waitlist.json: camps with openings and full camps with a waitlist,
+ * each with its parsed fields (null for undated events) plus
+ * { status: 'open' | 'full', openSpots, waiting, enrolled, priority }
+ */
+function buildCampRecords(waitlist, referenceDate = new Date()) {
+    const toRecord = (camp, status) => ({
+        ...(parseCampName(camp.name, referenceDate) || { name: camp.name, theme: camp.name, weekKey: null, session: null, price: null }),
+        status,
+        openSpots: camp.open_spots || 0,
+        waiting: camp.waitlist || 0,
+        enrolled: camp.enrolled ?? null,
+        priority: camp.priority === true || camp.waitlist > 0,
+    });
+
+    return [
+        ...(waitlist?.camps_with_openings || []).filter(camp => camp?.name).map(camp => toRecord(camp, 'open')),
+        ...(waitlist?.camps_with_waitlist || []).filter(camp => camp?.name).map(camp => toRecord(camp, 'full')),
+    ];
+}
+
+/**
+ * Filter camp records by { week, session, maxPrice } (empty values match everything).
+ * Camps with no listed price are kept by a price filter since they may still fit.
+ */
+function filterCamps(camps, filters) {
+    return camps.filter(camp => {
+        if (filters.week && camp.weekKey !== filters.week) return false;
+        if (filters.session && camp.session !== filters.session) return false;
+        if (filters.maxPrice && camp.price !== null && camp.price > Number(filters.maxPrice)) return false;
+        return true;
+    });
+}
+
+/**
+ * Group dated camp records into weeks, with the half- and full-day variants of each theme together.
+ * Returns [{ weekKey, label, themes: [{ theme, dateLabel, variants }] }] in date order.
+ */
+function groupCampsByWeek(camps) {
+    const weeks = new Map();
+
+    for (const camp of camps) {
+        if (!camp.weekKey) continue;
+        if (!weeks.has(camp.weekKey)) {
+            weeks.set(camp.weekKey, { weekKey: camp.weekKey, label: `Week of ${formatShortDate(getWeekStart(camp.startDate))}`, themes: new Map() });
+        }
+        const themes = weeks.get(camp.weekKey).themes;
+        const themeKey = `${camp.theme.toLowerCase()}|${camp.dateLabel}`;
+        if (!themes.has(themeKey)) {
+            themes.set(themeKey, { theme: camp.theme, dateLabel: camp.dateLabel, startDate: camp.startDate, variants: [] });
+        }
+        themes.get(themeKey).variants.push(camp);
+    }
+
+    const bySession = (a, b) => (CAMP_SESSION_ORDER[a.session] ?? 2) - (CAMP_SESSION_ORDER[b.session] ?? 2)
+        || (a.startMinutes ?? 0) - (b.startMinutes ?? 0);
+
+    return [...weeks.values()]
+        .sort((a, b) => a.weekKey.localeCompare(b.weekKey))
+        .map(week => ({
+            weekKey: week.weekKey,
+            label: week.label,
+            themes: [...week.themes.values()]
+                .sort((a, b) => a.startDate - b.startDate || a.theme.localeCompare(b.theme))
+                .map(theme => ({ ...theme, variants: theme.variants.sort(bySession) })),
+        }));
+}
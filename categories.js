@@ -0,0 +1,176 @@
+// Class categories
+// Category definitions come from categories.json ({ categories: [{ key, label, pattern }] }, where
+// `pattern` is a case-insensitive regex tested against the class name). Edits made in the admin
+// panel are kept in localStorage until they're exported and committed as the new file.
+
+const CATEGORIES_CONFIG_URL = 'categories.json';
+const CATEGORY_OVERRIDES_KEY = 'waitlist-tracker:categories';
+
+// Filter option for classes no category matches, so they never drop out of the filter
+const UNCATEGORIZED = { key: 'OTHER', label: 'Other / Uncategorized' };
+
+
+// Used when categories.json can't be loaded; test/categories.test.js keeps it in step with the file
+const DEFAULT_CATEGORY_DEFINITIONS = [
+    { key: '2s', label: '2s (Talented 2s)', pattern: '^2s\\s*-' },
+    { key: '3/4s', label: '3/4s (Tremendous 3s/Fabulous 4s)', pattern: '^3\\/4s\\s*-' },
+    { key: 'BEGINNER', label: 'Beginner', pattern: '^BEGINNER\\s*\\/' },
+    { key: 'ADVANCED BEGINNER', label: 'Advanced Beginner', pattern: '^ADVANCED BEGINNER\\s*\\/' },
+    { key: 'INTERMEDIATE', label: 'Intermediate', pattern: '^INTERMEDIATE\\s*\\/' },
+    { key: 'ADVANCED', label: 'Advanced', pattern: '^ADVANCED\\s*\\/' },
+    { key: 'MASTER', label: 'Master', pattern: '^MASTER\\s*\\/' },
+    { key: 'BOYS BEGINNER', label: 'Boys Beginner', pattern: '^BOYS BEGINNER\\s*\\/' },
+    { key: 'HOME SCHOOL', label: 'Home School', pattern: '^HOME SCHOOL\\s*\\/' },
+    { key: 'NINJA ZONE WHITE', label: 'Ninja Zone White', pattern: '^NINJA ZONE WHITE\\s*\\/' },
+    { key: 'NINJA ZONE YELLOW', label: 'Ninja Zone Yellow/Green', pattern: '^NINJA ZONE YELLOW' },
+    { key: 'NZ - LIL NINJA', label: 'NZ - Lil Ninja', pattern: '^NZ\\s*-\\s*LIL NINJA' },
+    { key: 'REC TEAM', label: 'Rec Team', pattern: '^REC TEAM' },
+    { key: 'BEGINNER / ADVANCED BEGINNER', label: 'Beginner/Adv Beginner Combo', pattern: '^BEGINNER\\s*\\/\\s*ADVANCED BEGINNER' },
+];
+
+// Compiled categories in display order: { key, label, pattern, match }.
+// Filled in place by setClassCategories so every module sees the current list.
+const CLASS_CATEGORIES = [];
+let categoriesByPriority = []; // Longest key first, so "BEGINNER / ADVANCED BEGINNER" wins over "BEGINNER"
+
+/**
+ * Compile category definitions.
+ * Returns { categories, errors } where errors are [{ index, message }] for rows that were skipped.
+ */
+function compileCategories(definitions) {
+    const categories = [];
+    const errors = [];
+    const keys = new Set();
+
+    (Array.isArray(definitions) ? definitions : []).forEach((def, index) => {
+        const key = String(def?.key || '').trim();
+        const pattern = String(def?.pattern || '').trim();
+        if (!key || !pattern) {
+            errors.push({ index, message: 'Key and pattern are required' });
+            return;
+        }
+        if (keys.has(key) || key === UNCATEGORIZED.key) {
+            errors.push({ index, message: `Key "${key}" is already used` });
+            return;
+        }
+        try {
+            categories.push({ key, label: String(def.label || '').trim() || key, pattern, match: new RegExp(pattern, 'i') });
+            keys.add(key);
+        } catch (error) {
+            errors.push({ index, message: `Invalid pattern: ${error.message}` });
+        }
+    });
+
+    return { categories, errors };
+}
+
+/**
+ * Replace the active categories
+ */
+function setClassCategories(categories) {
+    CLASS_CATEGORIES.splice(0, CLASS_CATEGORIES.length, ...categories);
+    categoriesByPriority = [...categories].sort((a, b) => b.key.length - a.key.length);
+    // Parsed class records carry their category
+    parsedClassCache.clear();
+}
+
+/**
+ * Find the category for a class name in a list of compiled categories
+ */
+function matchClassCategory(className, categories) {
+    return categories.find(category => category.match.test(className)) || null;
+}
+
+/**
+ * Get the category for a class name
+ */
+function getClassCategory(className) {
+    return matchClassCategory(className, categoriesByPriority);
+}
+
+/**
+ * Look up a category (or the uncategorized group) by key
+ */
+function getCategoryByKey(key) {
+    if (key === UNCATEGORIZED.key) return UNCATEGORIZED;
+    return CLASS_CATEGORIES.find(cat => cat.key === key) || null;
+}
+
+/**
+ * Short fingerprint of a category list, used to tell which categories.json local edits were based on
+ */
+function getCategoriesVersion(definitions) {
+    // FNV-1a over the JSON text; enough to notice that the file changed
+    const text = JSON.stringify(definitions);
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return hash.toString(16).padStart(8, '0');
+}
+
+/**
+ * Fetch the category list from categories.json.
+ * Returns { definitions, error } where definitions is null when the file couldn't be used.
+ */
+async function fetchCategoryFile() {
+    try {
+        const response = await fetch(CATEGORIES_CONFIG_URL, { cache: 'no-cache' });
+        if (!response.ok) return { definitions: null, error: `HTTP ${response.status}` };
+        const config = await response.json();
+        if (!Array.isArray(config?.categories)) return { definitions: null, error: 'no "categories" list in the file' };
+        return { definitions: config.categories, error: '' };
+    } catch (error) {
+        return { definitions: null, error: error.message };
+    }
+}
+
+/**
+ * Load category definitions: local admin edits first, then categories.json, then the built-in list.
+ * Returns { definitions, source, fileVersion, fileChanged, fileError } where source is 'local', 'file' or 'default';
+ * fileChanged is set when categories.json no longer matches the version the local edits were based on.
+ */
+async function loadCategoryDefinitions() {
+    const file = await fetchCategoryFile();
+    const fileVersion = file.definitions ? getCategoriesVersion(file.definitions) : null;
+    const status = { fileVersion, fileChanged: false, fileError: file.error };
+
+    try {
+        const stored = JSON.parse(localStorage.getItem(CATEGORY_OVERRIDES_KEY));
+        if (Array.isArray(stored?.categories)) {
+            // Can't compare when the file didn't load; don't warn about what we can't see
+            status.fileChanged = fileVersion !== null && stored.basedOn !== fileVersion;
+            return { definitions: stored.categories, source: 'local', ...status };
+        }
+    } catch {
+        // Ignore unreadable local edits
+    }
+
+    if (file.definitions) return { definitions: file.definitions, source: 'file', ...status };
+    return { definitions: DEFAULT_CATEGORY_DEFINITIONS, source: 'default', ...status };
+}
+
+/**
+ * Save category edits locally, noting the categories.json version they were made against
+ */
+function saveCategoryOverrides(definitions, basedOn) {
+    localStorage.setItem(CATEGORY_OVERRIDES_KEY, JSON.stringify({ categories: definitions, basedOn }));
+}
+
+/**
+ * Drop local category edits, going back to categories.json
+ */
+function clearCategoryOverrides() {
+    localStorage.removeItem(CATEGORY_OVERRIDES_KEY);
+}
+
+/**
+ * Turn compiled categories back into plain definitions for saving or export
+ */
+function toCategoryDefinitions(categories) {
+    return categories.map(({ key, label, pattern }) => ({ key, label, pattern }));
+}
+
+// Start with the built-in categories until the config has loaded
+setClassCategories(compileCategories(DEFAULT_CATEGORY_DEFINITIONS).categories);
@@ -0,0 +1,44 @@
+// Alternative sections
+// Suggests open sections in the same category for students stuck on a full class's waitlist,
+// closest day/time first, so staff can offer a different slot instead of waiting for this one.
+
+const CLASS_MATCHER = {
+    maxSuggestions: 3,
+};
+
+/**
+ * Count the spots in a section that aren't already owed to its own waitlist
+ */
+function getSpareSpots(cls) {
+    return Math.max(0, cls.openSpots - (cls.hasWaitlist ? cls.waiting : 0));
+}
+
+/**
+ * Find open sections in the same category as `cls`, ranked by how close their day/time is.
+ * Returns [{ record, spareSpots, proximity }].
+ */
+function findAlternativeSections(model, cls, limit = CLASS_MATCHER.maxSuggestions) {
+    if (!model || !cls?.category) return [];
+
+    return model.classes
+        .filter(other => other !== cls && other.category === cls.category && getSpareSpots(other) > 0)
+        .map(other => ({
+            record: other,
+            spareSpots: getSpareSpots(other),
+            proximity: cls.schedule
+                ? scoreSlotProximity(other.schedule, cls.schedule.dayCode, cls.schedule.startMinutes)
+                : 0,
+        }))
+        .sort((a, b) => b.proximity - a.proximity || b.spareSpots - a.spareSpots || a.record.name.localeCompare(b.record.name))
+        .slice(0, limit);
+}
+
+/**
+ * Find alternatives for one student, leaving out sections they're already waiting for
+ */
+function findStudentAlternatives(model, className, studentName, limit = CLASS_MATCHER.maxSuggestions) {
+    const cls = findClassRecord(model, className);
+    return findAlternativeSections(model, cls, Infinity)
+        .filter(alt => !alt.record.waitlist.some(entry => entry.name === studentName))
+        .slice(0, limit);
+}
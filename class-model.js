@@ -0,0 +1,230 @@
+// Unified class model
+// Each class can appear in up to four lists: `waitlists` (by name only), `classes_with_openings`
+// and `action_needed` (by classId) in waitlist.json, and `immediate_action` (by class_id) in
+// class_action.json. This joins them into one record per class and reports where they disagree.
+
+const RECONCILE_SOURCE = 'waitlist.json / class_action.json';
+
+// The two lists that flag classes with openings and people waiting, and the file each comes from
+const ACTION_SOURCES = [
+    { key: 'actionNeeded', list: 'action_needed', file: 'waitlist.json' },
+    { key: 'immediateAction', list: 'immediate_action', file: 'class_action.json' },
+];
+
+/**
+ * Normalize a class name for joining: uppercase, single spaces, no spaces around "/"
+ */
+function normalizeClassKey(name) {
+    return (name || '')
+        .toUpperCase()
+        .replace(/\s*\/\s*/g, '/')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Create an empty class record
+ */
+function createClassRecord(id, name) {
+    return {
+        id,                       // Class id from the scraper, or "name:<key>" when only the name is known
+        name,
+        aliases: new Set([name]),
+        category: getClassCategory(name)?.key || null,
+        schedule: parseClassName(name),
+        waitlist: [],
+        hasWaitlist: false,
+        waiting: 0,
+        enrolled: null,
+        capacity: null,
+        openSpots: 0,
+        hasHiddenOpening: false,
+        month: null,
+        // Raw values as each list reported them, for reconciliation
+        reported: { openings: null, actionNeeded: null, immediateAction: null },
+    };
+}
+
+/**
+ * Build the unified class model from waitlist.json and class_action.json.
+ * Returns { classes, byId, byKey, issues }.
+ */
+function buildClassModel(waitlist, action) {
+    const byId = new Map();
+    const byKey = new Map();
+    const issues = [];
+
+    // Find or create the record for a class, joining by id first and then by name
+    function getRecord(id, name, listLabel) {
+        const key = normalizeClassKey(name);
+        let record = id ? byId.get(String(id)) : null;
+        const byName = byKey.get(key);
+
+        if (record) {
+            if (!record.aliases.has(name) && normalizeClassKey(record.name) !== key) {
+                issues.push(dataIssue('warning', RECONCILE_SOURCE, record.name,
+                    `Class id ${id} is also named "${name}" in ${listLabel}`));
+            }
+        } else if (byName && (!id || byName.id.startsWith('name:'))) {
+            record = byName;
+            // A name-only record learns its id from a list that has one
+            if (id) {
+                byId.delete(record.id);
+                record.id = String(id);
+                byId.set(record.id, record);
+            }
+        } else {
+            if (byName && id) {
+                issues.push(dataIssue('warning', RECONCILE_SOURCE, name,
+                    `Name is used by class ids ${byName.id} and ${id}`));
+            }
+            record = createClassRecord(id ? String(id) : `name:${key}`, name);
+            byId.set(record.id, record);
+        }
+
+        record.aliases.add(name);
+        if (!byKey.has(key)) byKey.set(key, record);
+        return record;
+    }
+
+    // Lists with ids first, so waitlists can attach to them by name
+    for (const cls of waitlist?.classes_with_openings || []) {
+        if (!cls?.name) continue;
+        const record = getRecord(cls.classId, cls.name, 'classes_with_openings');
+        record.reported.openings = { openSpots: cls.open_spots || 0, month: cls.month || 'current' };
+    }
+
+    for (const cls of waitlist?.action_needed || []) {
+        if (!cls?.name) continue;
+        const record = getRecord(cls.classId, cls.name, 'action_needed');
+        record.reported.actionNeeded = { openSpots: cls.open_spots || 0, waiting: cls.waiting, enrolled: cls.enrolled };
+    }
+
+    for (const cls of action?.immediate_action || []) {
+        if (!cls?.name) continue;
+        const record = getRecord(cls.class_id, cls.name, 'immediate_action');
+        record.reported.immediateAction = {
+            openSpots: cls.open_spots || 0,
+            waiting: cls.waiting,
+            active: cls.active,
+            maxStudents: cls.max_students,
+            hasHiddenOpening: cls.has_hidden_opening === true,
+        };
+    }
+
+    for (const [name, entries] of Object.entries(waitlist?.waitlists || {})) {
+        const record = getRecord(null, name, 'waitlists');
+        // Keep the waitlist's spelling of the name so lookups by waitlist key still work
+        record.name = name;
+        record.hasWaitlist = true;
+        record.waitlist = [...(Array.isArray(entries) ? entries : [])].sort((a, b) => a.position - b.position);
+    }
+
+    const classes = [...byId.values()];
+    for (const record of classes) {
+        resolveClassRecord(record);
+        issues.push(...reconcileClassRecord(record));
+    }
+
+    // Files generated at different times can disagree about the same class
+    if (waitlist?.last_updated && action?.last_updated) {
+        const diffMinutes = Math.abs(new Date(waitlist.last_updated) - new Date(action.last_updated)) / 60000;
+        if (diffMinutes >= 1) {
+            issues.push(dataIssue('warning', RECONCILE_SOURCE, null,
+                `Files were generated ${Math.round(diffMinutes)} minutes apart (waitlist.json ${new Date(waitlist.last_updated).toLocaleString()}, class_action.json ${new Date(action.last_updated).toLocaleString()})`));
+        }
+    }
+
+    return { classes, byId, byKey, issues };
+}
+
+/**
+ * Fill in a record's combined values from what each list reported.
+ * The class checker (immediate_action) is the most accurate, then action_needed, then classes_with_openings.
+ */
+function resolveClassRecord(record) {
+    const { openings, actionNeeded, immediateAction } = record.reported;
+
+    record.openSpots = immediateAction?.openSpots ?? actionNeeded?.openSpots ?? openings?.openSpots ?? 0;
+    record.month = openings?.month || null;
+    record.enrolled = immediateAction?.active ?? actionNeeded?.enrolled ?? null;
+    // max_students is 0 when the checker couldn't read it
+    record.capacity = immediateAction?.maxStudents > 0 ? immediateAction.maxStudents : null;
+    record.hasHiddenOpening = immediateAction?.hasHiddenOpening || false;
+
+    const reportedWaiting = Math.max(immediateAction?.waiting || 0, actionNeeded?.waiting || 0);
+    record.waiting = record.hasWaitlist ? record.waitlist.length : reportedWaiting;
+}
+
+/**
+ * Report disagreements between the lists for one class
+ */
+function reconcileClassRecord(record) {
+    const issues = [];
+    const { openings, actionNeeded, immediateAction } = record.reported;
+    const warn = message => issues.push(dataIssue('warning', RECONCILE_SOURCE, record.name, message));
+
+    const spots = [
+        ['classes_with_openings', openings?.openSpots],
+        ['action_needed', actionNeeded?.openSpots],
+        ['immediate_action', immediateAction?.openSpots],
+    ].filter(([, value]) => value !== undefined);
+    if (new Set(spots.map(([, value]) => value)).size > 1) {
+        warn(`Open spots disagree: ${spots.map(([list, value]) => `${list} ${value}`).join(', ')}`);
+    }
+
+    for (const [list, reported] of [['action_needed', actionNeeded], ['immediate_action', immediateAction]]) {
+        if (!reported || reported.waiting === undefined) continue;
+        if (!record.hasWaitlist && reported.waiting > 0) {
+            warn(`${list} reports ${reported.waiting} waiting but waitlists has no entry for this class`);
+        } else if (record.hasWaitlist && reported.waiting !== record.waitlist.length) {
+            warn(`${list} reports ${reported.waiting} waiting but the waitlist has ${record.waitlist.length} names`);
+        }
+    }
+
+    if (actionNeeded && immediateAction && actionNeeded.enrolled !== undefined
+        && immediateAction.active !== undefined && actionNeeded.enrolled !== immediateAction.active) {
+        warn(`Enrollment disagrees: action_needed ${actionNeeded.enrolled}, immediate_action ${immediateAction.active}`);
+    }
+
+    return issues;
+}
+
+/**
+ * Compare what the two action lists say about a class that at least one of them flags.
+ * `loadedFiles` lists the files that were loaded; a file that's missing can't disagree.
+ * Returns { sources, conflicts } where `sources` are the ACTION_SOURCES flagging the class and
+ * `conflicts` are messages for staff to check before calling a family.
+ */
+function getActionConflicts(record, loadedFiles) {
+    const sources = ACTION_SOURCES.filter(source => record.reported[source.key]);
+    const conflicts = [];
+
+    for (const source of ACTION_SOURCES) {
+        if (sources.includes(source) || !loadedFiles.includes(source.file)) continue;
+        // waitlist.json may still list the opening in classes_with_openings
+        const listsOpening = source.key === 'actionNeeded' && record.reported.openings?.openSpots > 0;
+        conflicts.push(listsOpening
+            ? `${source.file} lists the opening but not in ${source.list}`
+            : `${source.file} doesn't list an opening`);
+    }
+
+    if (sources.length === ACTION_SOURCES.length) {
+        const [first, second] = ACTION_SOURCES.map(source => record.reported[source.key]);
+        if (first.openSpots !== second.openSpots) {
+            conflicts.push(`Open spots differ: ${ACTION_SOURCES[0].file} ${first.openSpots}, ${ACTION_SOURCES[1].file} ${second.openSpots}`);
+        }
+        if (first.waiting !== undefined && second.waiting !== undefined && first.waiting !== second.waiting) {
+            conflicts.push(`Waiting differs: ${ACTION_SOURCES[0].file} ${first.waiting}, ${ACTION_SOURCES[1].file} ${second.waiting}`);
+        }
+    }
+
+    return { sources, conflicts };
+}
+
+/**
+ * Look up a class record by any of its names
+ */
+function findClassRecord(model, name) {
+    return model?.byKey.get(normalizeClassKey(name)) || null;
+}
@@ -0,0 +1,129 @@
+// Class name parser
+// Turns free-text class names like "INTERMEDIATE / T 6:30" or
+// "3/4s - TREMENDOUS 3s/FABULOUS 4s (COMBO) F 9:15" into structured records.
+
+// Weekday codes used in class names, in display order (Monday first)
+const WEEKDAYS = [
+    { code: 'M', label: 'Mon', long: 'Monday' },
+    { code: 'T', label: 'Tue', long: 'Tuesday' },
+    { code: 'W', label: 'Wed', long: 'Wednesday' },
+    { code: 'TH', label: 'Thu', long: 'Thursday' },
+    { code: 'F', label: 'Fri', long: 'Friday' },
+    { code: 'S', label: 'Sat', long: 'Saturday' },
+    { code: 'SU', label: 'Sun', long: 'Sunday' },
+];
+
+// Day code + start time at the end of the name, e.g. "/TH 4:00" or " S 12:30pm"
+const CLASS_SLOT_PATTERN = /(?:^|[\s/])(SU|TH|M|T|W|F|S)\s+(\d{1,2}):(\d{2})\s*(am|pm)?\s*$/i;
+
+const parsedClassCache = new Map();
+
+// How close two class times are: start times further apart than the window don't match at all,
+// and a different day counts for less (more so between a weekday and the weekend)
+const SLOT_PROXIMITY = {
+    timeWindowMinutes: 180,
+    dayFactor: { sameDay: 1, sameKind: 0.6, otherKind: 0.3 },
+};
+const WEEKEND_CODES = ['S', 'SU'];
+
+/**
+ * Convert a class start time to minutes after midnight.
+ * Class names omit am/pm, so hours 8-11 are mornings, 12 is noon and 1-7 are afternoons/evenings.
+ */
+function toMinutesOfDay(hour, minute, meridiem) {
+    let h = hour;
+    if (meridiem) {
+        h = hour % 12;
+        if (meridiem.toLowerCase() === 'pm') h += 12;
+    } else if (hour >= 1 && hour <= 7) {
+        h += 12;
+    }
+    return h * 60 + minute;
+}
+
+/**
+ * Format minutes after midnight as a short clock label ("4:00 PM")
+ */
+function formatMinutesOfDay(minutes) {
+    const h24 = Math.floor(minutes / 60);
+    const m = minutes % 60;
+    const h12 = h24 % 12 === 0 ? 12 : h24 % 12;
+    return `${h12}:${String(m).padStart(2, '0')} ${h24 < 12 ? 'AM' : 'PM'}`;
+}
+
+/**
+ * Parse a class name into { name, level, category, isCombo, day, dayCode, dayLabel, startMinutes, timeLabel }.
+ * `day` is an index into WEEKDAYS. Returns null if no day/time can be found.
+ */
+function parseClassName(name) {
+    if (typeof name !== 'string') return null;
+    if (parsedClassCache.has(name)) return parsedClassCache.get(name);
+
+    const match = name.match(CLASS_SLOT_PATTERN);
+    let record = null;
+
+    if (match) {
+        const dayCode = match[1].toUpperCase();
+        const day = WEEKDAYS.findIndex(d => d.code === dayCode);
+        const hour = parseInt(match[2], 10);
+        const minute = parseInt(match[3], 10);
+
+        if (day !== -1 && hour >= 1 && hour <= 12 && minute < 60) {
+            const startMinutes = toMinutesOfDay(hour, minute, match[4]);
+            // Level is everything before the day code, minus trailing separators
+            const level = name.slice(0, match.index).replace(/[\s/]+$/, '').replace(/\s+/g, ' ').trim();
+            const category = typeof getClassCategory === 'function' ? getClassCategory(name) : null;
+
+            record = {
+                name,
+                level,
+                category: category ? category.key : null,
+                isCombo: /\(COMBO\)/i.test(name),
+                day,
+                dayCode,
+                dayLabel: WEEKDAYS[day].label,
+                startMinutes,
+                timeLabel: formatMinutesOfDay(startMinutes),
+            };
+        }
+    }
+
+    parsedClassCache.set(name, record);
+    return record;
+}
+
+/**
+ * Score how close a parsed class is to a day and start time, from 0 (no match) to 1 (same slot)
+ */
+function scoreSlotProximity(schedule, dayCode, startMinutes) {
+    if (!schedule) return 0;
+
+    const { sameDay, sameKind, otherKind } = SLOT_PROXIMITY.dayFactor;
+    let dayFactor = otherKind;
+    if (schedule.dayCode === dayCode) {
+        dayFactor = sameDay;
+    } else if (WEEKEND_CODES.includes(schedule.dayCode) === WEEKEND_CODES.includes(dayCode)) {
+        dayFactor = sameKind;
+    }
+
+    const timeFactor = Math.max(0, 1 - Math.abs(schedule.startMinutes - startMinutes) / SLOT_PROXIMITY.timeWindowMinutes);
+    return dayFactor * timeFactor;
+}
+
+/**
+ * Parse a list of class names.
+ * Returns { records, unparsed } where `unparsed` holds names with no recognizable day/time.
+ */
+function parseClassNames(names) {
+    const records = [];
+    const unparsed = [];
+    for (const name of names) {
+        const record = parseClassName(name);
+        if (record) {
+            records.push(record);
+        } else {
+            unparsed.push(name);
+        }
+    }
+    return { records, unparsed };
+}
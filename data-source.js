@@ -0,0 +1,156 @@
+// Data sources
+// Where waitlist.json / class_action.json come from. Defaults to the GitHub repo, but can be
+// switched for staging or local scraper testing:
+//   ?source=relative                      data/ next to index.html
+//   ?data=<url>&action=<url>&trigger=<url> explicit URLs
+//   ?config=<url>                         a config JSON (see config.example.json)
+//   ?config                               config.json next to index.html
+//   dropping JSON files onto the page     read locally, nothing fetched
+// The trigger server runs scrapes, so only a localhost trigger URL is accepted: a shared link
+// can't point the refresh button at someone else's server.
+
+const DEFAULT_DATA_SOURCE = {
+    id: '',
+    type: 'github',
+    label: 'GitHub (Moser247/waitlist-tracker)',
+    dataUrl: 'https://raw.githubusercontent.com/Moser247/waitlist-tracker/main/data/waitlist.json',
+    actionDataUrl: 'https://raw.githubusercontent.com/Moser247/waitlist-tracker/main/data/class_action.json',
+    triggerUrl: 'http://localhost:5111',
+};
+
+const LOCAL_CONFIG_URL = 'config.json';
+const LOCAL_HOSTNAMES = ['localhost', '127.0.0.1', '[::1]'];
+
+/**
+ * Resolve a trigger server URL, falling back to the default unless it's on this machine
+ */
+function resolveTriggerUrl(url, base = location.href) {
+    if (!url) return DEFAULT_DATA_SOURCE.triggerUrl;
+    try {
+        const resolved = new URL(url, base);
+        return LOCAL_HOSTNAMES.includes(resolved.hostname) ? resolved.href.replace(/\/$/, '') : DEFAULT_DATA_SOURCE.triggerUrl;
+    } catch {
+        return DEFAULT_DATA_SOURCE.triggerUrl;
+    }
+}
+
+/**
+ * Build a URL-based data source, resolving relative URLs against `base`
+ */
+function createUrlDataSource(type, label, urls, base = location.href) {
+    const resolve = url => (url ? new URL(url, base).href : null);
+    const dataUrl = resolve(urls.dataUrl);
+    return {
+        id: `${type}:${dataUrl}`,
+        type,
+        label,
+        dataUrl,
+        actionDataUrl: resolve(urls.actionDataUrl),
+        triggerUrl: resolveTriggerUrl(urls.triggerUrl, base),
+        updateTimes: Array.isArray(urls.updateTimes) ? urls.updateTimes : null,
+    };
+}
+
+/**
+ * Load a data source from a config JSON: { label, dataUrl, actionDataUrl, triggerUrl, updateTimes }.
+ * Returns null if the file doesn't exist.
+ */
+async function loadConfigDataSource(configUrl) {
+    const url = new URL(configUrl, location.href).href;
+    const response = await fetch(url, { cache: 'no-cache' });
+    if (response.status === 404) return null;
+    if (!response.ok) {
+        throw new Error(`Config ${configUrl}: HTTP ${response.status}`);
+    }
+
+    const config = await response.json();
+    if (!config.dataUrl) {
+        throw new Error(`Config ${configUrl} has no dataUrl`);
+    }
+    // URLs in the config are relative to the config file
+    return createUrlDataSource('config', config.label || `Config: ${configUrl}`, config, url);
+}
+
+/**
+ * Work out the active data source from query parameters and config files
+ */
+async function resolveDataSource(search = location.search) {
+    const params = new URLSearchParams(search);
+
+    if (params.get('data')) {
+        return createUrlDataSource('url', `URL: ${params.get('data')}`, {
+            dataUrl: params.get('data'),
+            actionDataUrl: params.get('action'),
+            triggerUrl: params.get('trigger'),
+        });
+    }
+
+    if (params.get('source') === 'relative') {
+        return createUrlDataSource('relative', 'Relative path (data/)', {
+            dataUrl: 'data/waitlist.json',
+            actionDataUrl: 'data/class_action.json',
+            triggerUrl: params.get('trigger'),
+        });
+    }
+
+    // A bare ?config reads config.json next to the page; nothing is probed unless asked for
+    if (params.has('config')) {
+        const configUrl = params.get('config') || LOCAL_CONFIG_URL;
+        const source = await loadConfigDataSource(configUrl);
+        if (!source) throw new Error(`Config ${configUrl} not found`);
+        return source;
+    }
+
+    return DEFAULT_DATA_SOURCE;
+}
+
+/**
+ * Build a data source from JSON files the user dropped or picked.
+ * Each file is recognized by its contents (waitlists vs immediate_action).
+ */
+async function createFileDataSource(fileList) {
+    const files = { waitlist: null, action: null };
+    const names = [];
+
+    for (const file of fileList) {
+        const data = JSON.parse(await file.text());
+        if (data?.waitlists) {
+            files.waitlist = data;
+        } else if (data?.immediate_action) {
+            files.action = data;
+        } else {
+            throw new Error(`${file.name} is not a waitlist.json or class_action.json file`);
+        }
+        names.push(file.name);
+    }
+
+    if (!files.waitlist) {
+        throw new Error('Drop a waitlist.json file (optionally with class_action.json)');
+    }
+
+    return {
+        id: 'file',
+        type: 'file',
+        label: `Local file: ${names.join(', ')}`,
+        files,
+        dataUrl: null,
+        actionDataUrl: null,
+        triggerUrl: DEFAULT_DATA_SOURCE.triggerUrl,
+    };
+}
+
+/**
+ * Read one of the source's data files ('waitlist' or 'action').
+ * Returns { data, fromCache }.
+ */
+async function readDataSourceFile(source, which, bustCache = false, retries = undefined) {
+    if (source.type === 'file') {
+        const data = source.files[which];
+        if (!data) throw new Error(`No ${which} file loaded`);
+        return { data, fromCache: false };
+    }
+
+    const url = which === 'action' ? source.actionDataUrl : source.dataUrl;
+    if (!url) throw new Error(`No ${which} URL configured`);
+    return fetchDataFile(url, bustCache, retries);
+}
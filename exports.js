@@ -0,0 +1,173 @@
+// Exports
+// Turns what a tab shows into a table ({ title, columns, rows, groupBy, callSheet }) that can be
+// saved as CSV, as CSV that Excel opens cleanly, or opened as a printable page (save as PDF).
+// Camps can also be saved as calendar (.ics) events.
+
+/**
+ * Quote a value for CSV
+ */
+function csvEscape(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Turn a header row and data rows into CSV.
+ * With `excel`, adds a byte order mark so Excel reads UTF-8 names correctly, and stops
+ * values starting with = + - @ from being run as formulas.
+ */
+function rowsToCsv(columns, rows, { excel = false } = {}) {
+    const cell = value => {
+        if (excel && typeof value === 'string' && /^[=+\-@]/.test(value)) {
+            value = `'${value}`;
+        }
+        return csvEscape(value);
+    };
+    const csv = [columns, ...rows].map(row => row.map(cell).join(',')).join('\r\n');
+    return excel ? `\uFEFF${csv}` : csv;
+}
+
+/**
+ * Split a table's rows into groups by its `groupBy` column, keeping first-seen order.
+ * Returns [{ heading, columns, rows }] with the grouping column removed.
+ */
+function groupExportRows(table) {
+    const index = table.columns.indexOf(table.groupBy);
+    if (index === -1) return [{ heading: null, columns: table.columns, rows: table.rows }];
+
+    const columns = table.columns.filter((_, i) => i !== index);
+    const groups = new Map();
+    for (const row of table.rows) {
+        const heading = row[index];
+        if (!groups.has(heading)) groups.set(heading, []);
+        groups.get(heading).push(row.filter((_, i) => i !== index));
+    }
+    return [...groups].map(([heading, rows]) => ({ heading, columns, rows }));
+}
+
+/**
+ * Build a standalone printable HTML page for a table.
+ * Grouped tables print one block per group; call sheets get blank "Called" and "Notes" columns.
+ */
+function buildPrintableHtml(table, subtitle = '') {
+    const extraColumns = table.callSheet ? ['Called', 'Notes'] : [];
+
+    const sections = groupExportRows(table).map(group => `
+        <section>
+            ${group.heading !== null ? `<h2>${escapeHtml(group.heading)} <small>(${group.rows.length})</small></h2>` : ''}
+            <table>
+                <thead>
+                    <tr>${[...group.columns, ...extraColumns].map(col => `<th>${escapeHtml(col)}</th>`).join('')}</tr>
+                </thead>
+                <tbody>
+                    ${group.rows.map(row => `
+                        <tr>
+                            ${row.map(value => `<td>${escapeHtml(value ?? '')}</td>`).join('')}
+                            ${table.callSheet ? '<td class="check">&#9744;</td><td class="notes"></td>' : ''}
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </section>
+    `).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${escapeHtml(table.title)}</title>
+<style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #222; margin: 24px; }
+    h1 { font-size: 1.3rem; margin: 0 0 4px; }
+    .subtitle { color: #666; font-size: 0.85rem; margin: 0 0 16px; }
+    section { break-inside: avoid; margin-bottom: 20px; }
+    h2 { font-size: 1rem; margin: 0 0 6px; }
+    h2 small { font-weight: normal; color: #666; }
+    table { width: 100%; border-collapse: collapse; font-size: 0.85rem; }
+    th, td { border: 1px solid #bbb; padding: 4px 8px; text-align: left; }
+    th { background: #eee; }
+    td.check { width: 4em; text-align: center; }
+    td.notes { width: 35%; }
+    @page { margin: 12mm; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(table.title)}</h1>
+<p class="subtitle">${escapeHtml(subtitle)}</p>
+${table.rows.length > 0 ? sections : '<p>Nothing to export.</p>'}
+</body>
+</html>`;
+}
+
+/**
+ * Escape text for an iCalendar property value
+ */
+function icsEscape(text) {
+    return String(text).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold an iCalendar line to 75 characters, continuing with a leading space
+ */
+function foldIcsLine(line) {
+    const parts = [];
+    for (let i = 0; i < line.length; i += 74) {
+        parts.push((i === 0 ? '' : ' ') + line.slice(i, i + 74));
+    }
+    return parts.join('\r\n');
+}
+
+/**
+ * Format a date, plus minutes after midnight, as a floating iCalendar date-time (20260608T083000)
+ */
+function formatIcsDateTime(date, minutes) {
+    const time = `${String(Math.floor(minutes / 60)).padStart(2, '0')}${String(minutes % 60).padStart(2, '0')}00`;
+    return `${toDateKey(date).replace(/-/g, '')}T${time}`;
+}
+
+/**
+ * Build an .ics calendar file for a parsed camp record: one event repeating each day of the camp,
+ * or an all-day event across the dates when the camp has no hours
+ */
+function buildCampIcs(camp, now = new Date()) {
+    const day = toDateKey(camp.startDate).replace(/-/g, '');
+    const lastDay = toDateKey(camp.endDate).replace(/-/g, '');
+    const stamp = now.toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '');
+    const summary = camp.sessionLabel ? `${camp.theme} (${camp.sessionLabel})` : camp.theme;
+
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//North Shore Gymnastics//Waitlist Tracker//EN',
+        'CALSCALE:GREGORIAN',
+        'BEGIN:VEVENT',
+        `UID:${day}-${camp.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '')}@waitlist-tracker`,
+        `DTSTAMP:${stamp}`,
+    ];
+
+    if (camp.startMinutes !== null && camp.endMinutes !== null) {
+        lines.push(
+            `DTSTART:${formatIcsDateTime(camp.startDate, camp.startMinutes)}`,
+            `DTEND:${formatIcsDateTime(camp.startDate, camp.endMinutes)}`
+        );
+        if (lastDay !== day) {
+            lines.push(`RRULE:FREQ=DAILY;UNTIL=${formatIcsDateTime(camp.endDate, camp.endMinutes)}`);
+        }
+    } else {
+        const dayAfter = new Date(camp.endDate);
+        dayAfter.setDate(dayAfter.getDate() + 1);
+        lines.push(
+            `DTSTART;VALUE=DATE:${day}`,
+            `DTEND;VALUE=DATE:${toDateKey(dayAfter).replace(/-/g, '')}`
+        );
+    }
+
+    lines.push(
+        `SUMMARY:${icsEscape(summary)}`,
+        `DESCRIPTION:${icsEscape(camp.price !== null ? `${camp.name}\nPrice: $${camp.price}` : camp.name)}`,
+        'END:VEVENT',
+        'END:VCALENDAR'
+    );
+
+    return `${lines.map(foldIcsLine).join('\r\n')}\r\n`;
+}
@@ -0,0 +1,160 @@
+// Family / household grouping
+// Groups waitlist entries by normalized last name so siblings can be seen together,
+// with manual merge/split overrides kept in localStorage.
+
+const FAMILY_OVERRIDES_KEY = 'waitlist-tracker:family-overrides';
+
+/**
+ * Normalize a name part for comparison: lowercase, no accents, tidy spacing around hyphens
+ */
+function normalizeFamilyName(text) {
+    return (text || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/\s*-\s*/g, '-')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Split a "Last, First" waitlist name into display parts
+ */
+function splitStudentName(name) {
+    const [last, ...rest] = (name || '').split(',');
+    return {
+        last: last.replace(/\s*-\s*/g, '-').replace(/\s+/g, ' ').trim(),
+        first: rest.join(',').replace(/\s+/g, ' ').trim(),
+    };
+}
+
+/**
+ * Load merge/split overrides from localStorage
+ */
+function loadFamilyOverrides() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(FAMILY_OVERRIDES_KEY));
+        return {
+            merges: stored?.merges || {},
+            splits: stored?.splits || {},
+        };
+    } catch {
+        return { merges: {}, splits: {} };
+    }
+}
+
+/**
+ * Save merge/split overrides to localStorage
+ */
+function saveFamilyOverrides(overrides) {
+    localStorage.setItem(FAMILY_OVERRIDES_KEY, JSON.stringify(overrides));
+}
+
+/**
+ * Get the household key for a student, applying split and merge overrides
+ */
+function getHouseholdKey(studentName, overrides) {
+    // A split-out child gets a household of their own, which can still be merged elsewhere
+    let key = overrides.splits[normalizeFamilyName(studentName)]
+        ? `solo:${normalizeFamilyName(studentName)}`
+        : normalizeFamilyName(splitStudentName(studentName).last);
+
+    // Follow merge chains (A -> B -> C), guarding against loops
+    const seen = new Set();
+    while (overrides.merges[key] && !seen.has(key)) {
+        seen.add(key);
+        key = overrides.merges[key];
+    }
+    return key;
+}
+
+/**
+ * Group the waitlist entries of the given class records into households.
+ * Returns [{ key, label, children: [{ name, first, last, entries: [{ className, position }] }] }]
+ */
+function buildHouseholds(classes, overrides) {
+    const households = new Map();
+
+    for (const cls of classes) {
+        const className = cls.name;
+        for (const entry of cls.waitlist) {
+            if (!entry.name) continue;
+
+            const key = getHouseholdKey(entry.name, overrides);
+            const parts = splitStudentName(entry.name);
+            if (!households.has(key)) {
+                households.set(key, { key, lastNames: new Set(), children: new Map() });
+            }
+            const household = households.get(key);
+            household.lastNames.add(parts.last);
+
+            const childKey = normalizeFamilyName(entry.name);
+            if (!household.children.has(childKey)) {
+                household.children.set(childKey, { name: entry.name, first: parts.first, last: parts.last, entries: [] });
+            }
+            household.children.get(childKey).entries.push({ className, position: entry.position });
+        }
+    }
+
+    return [...households.values()].map(household => ({
+        key: household.key,
+        // Merged households list every last name, e.g. "Miller / Gaffney-Miller"
+        label: [...household.lastNames].join(' / '),
+        children: [...household.children.values()]
+            .map(child => ({ ...child, entries: child.entries.sort((a, b) => a.position - b.position) }))
+            .sort((a, b) => a.first.localeCompare(b.first)),
+    }));
+}
+
+/**
+ * Name a household for the merge picker: "Miller (Ava, Ben)", so families sharing a last name differ
+ */
+function describeHousehold(household) {
+    return `${household.label} (${household.children.map(child => child.first || child.name).join(', ')})`;
+}
+
+/**
+ * Find time slots where siblings are waiting at the same day/time and check
+ * whether current openings let them be placed together.
+ * `openSpotsByClass` maps class name -> open spots.
+ * Returns [{ slotLabel, classes: [{ className, children, openSpots }], hasOpening, together }]
+ */
+function findSiblingSlots(household, openSpotsByClass) {
+    if (household.children.length < 2) return [];
+
+    const slots = new Map();
+    for (const child of household.children) {
+        for (const entry of child.entries) {
+            const parsed = parseClassName(entry.className);
+            // Unparseable names can still be matched exactly by class
+            const slotKey = parsed ? `${parsed.day}|${parsed.startMinutes}` : `class:${entry.className}`;
+            if (!slots.has(slotKey)) {
+                slots.set(slotKey, {
+                    slotLabel: parsed ? `${parsed.dayLabel} ${parsed.timeLabel}` : entry.className,
+                    classes: new Map(),
+                    children: new Set(),
+                });
+            }
+            const slot = slots.get(slotKey);
+            slot.children.add(child.name);
+            if (!slot.classes.has(entry.className)) slot.classes.set(entry.className, []);
+            slot.classes.get(entry.className).push(child.first || child.name);
+        }
+    }
+
+    const results = [];
+    for (const slot of slots.values()) {
+        if (slot.children.size < 2) continue;
+
+        const classes = [...slot.classes.entries()].map(([className, children]) => ({
+            className,
+            children,
+            openSpots: openSpotsByClass.get(className) || 0,
+        }));
+        const hasOpening = classes.some(cls => cls.openSpots > 0);
+        const together = classes.every(cls => cls.openSpots >= cls.children.length);
+
+        results.push({ slotLabel: slot.slotLabel, classes, hasOpening, together });
+    }
+    return results;
+}
@@ -0,0 +1,156 @@
+// Class filters
+// Compound filters shared by the waitlist, openings, schedule and insights views and the Action
+// Needed list: any of several categories, weekdays, a start time range, waitlist length bounds
+// and "has openings" toggles. Every part that's set must match; an empty filter matches everything.
+
+/**
+ * Create a filter with nothing selected.
+ * Times are minutes after midnight; `minWaiting`/`maxWaiting`/times are null when not set.
+ */
+function createEmptyFilters() {
+    return {
+        categories: [],
+        days: [],
+        after: null,
+        before: null,
+        minWaiting: null,
+        maxWaiting: null,
+        hasOpenings: false,
+        hasHiddenOpenings: false,
+    };
+}
+
+/**
+ * Check whether any part of a filter is set
+ */
+function hasActiveFilters(filters) {
+    return describeFilterChips(filters).length > 0;
+}
+
+/**
+ * Check if a class record matches a filter
+ */
+function matchesFilters(cls, filters) {
+    if (filters.categories.length > 0) {
+        const inCategory = filters.categories.some(key =>
+            key === UNCATEGORIZED.key ? !cls.category : cls.category === key
+        );
+        if (!inCategory) return false;
+    }
+
+    // Day and time filters need to know when the class meets
+    if (filters.days.length > 0 && !filters.days.includes(cls.schedule?.dayCode)) return false;
+    if (filters.after !== null && !(cls.schedule?.startMinutes >= filters.after)) return false;
+    if (filters.before !== null && !(cls.schedule?.startMinutes <= filters.before)) return false;
+
+    if (filters.minWaiting !== null && cls.waiting < filters.minWaiting) return false;
+    if (filters.maxWaiting !== null && cls.waiting > filters.maxWaiting) return false;
+    if (filters.hasOpenings && !(cls.openSpots > 0)) return false;
+    if (filters.hasHiddenOpenings && !cls.hasHiddenOpening) return false;
+
+    return true;
+}
+
+/**
+ * List the active parts of a filter as chips: [{ id, label }].
+ * `id` is what removeFilterChip takes to clear that part.
+ */
+function describeFilterChips(filters) {
+    const chips = [];
+    for (const key of filters.categories) {
+        chips.push({ id: `cat:${key}`, label: getCategoryByKey(key)?.label || key });
+    }
+    for (const code of filters.days) {
+        chips.push({ id: `day:${code}`, label: WEEKDAYS.find(day => day.code === code)?.label || code });
+    }
+    if (filters.after !== null) chips.push({ id: 'after', label: `Starts ${formatMinutesOfDay(filters.after)} or later` });
+    if (filters.before !== null) chips.push({ id: 'before', label: `Starts by ${formatMinutesOfDay(filters.before)}` });
+    if (filters.minWaiting !== null) chips.push({ id: 'minWaiting', label: `${filters.minWaiting}+ waiting` });
+    if (filters.maxWaiting !== null) chips.push({ id: 'maxWaiting', label: `At most ${filters.maxWaiting} waiting` });
+    if (filters.hasOpenings) chips.push({ id: 'hasOpenings', label: 'Has openings' });
+    if (filters.hasHiddenOpenings) chips.push({ id: 'hasHiddenOpenings', label: 'Has hidden openings' });
+    return chips;
+}
+
+/**
+ * Summarize a filter for headings and messages ("Intermediate, Advanced · Mon, Wed"), or ''
+ */
+function describeFilters(filters) {
+    const chips = describeFilterChips(filters);
+    const group = prefix => chips.filter(chip => chip.id.startsWith(prefix)).map(chip => chip.label).join(', ');
+    const other = chips.filter(chip => !chip.id.startsWith('cat:') && !chip.id.startsWith('day:')).map(chip => chip.label);
+    return [group('cat:'), group('day:'), ...other].filter(Boolean).join(' · ');
+}
+
+/**
+ * Return a copy of a filter with one chip's part cleared
+ */
+function removeFilterChip(filters, chipId) {
+    const updated = { ...filters, categories: [...filters.categories], days: [...filters.days] };
+    if (chipId.startsWith('cat:')) {
+        updated.categories = updated.categories.filter(key => key !== chipId.slice(4));
+    } else if (chipId.startsWith('day:')) {
+        updated.days = updated.days.filter(code => code !== chipId.slice(4));
+    } else if (chipId === 'hasOpenings' || chipId === 'hasHiddenOpenings') {
+        updated[chipId] = false;
+    } else if (chipId in updated) {
+        updated[chipId] = null;
+    }
+    return updated;
+}
+
+/**
+ * Parse a non-negative whole number from a form or URL value, or null
+ */
+function parseFilterCount(value) {
+    const text = String(value ?? '').trim();
+    if (!/^\d+$/.test(text)) return null;
+    return Number(text);
+}
+
+/**
+ * Format minutes after midnight as "17:00" for time inputs and URLs
+ */
+function formatFilterTime(minutes) {
+    return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Turn a filter into URL route values (see router.js); unset parts are ''
+ */
+function filtersToRoute(filters) {
+    return {
+        cat: filters.categories.join(','),
+        days: filters.days.join(','),
+        after: filters.after !== null ? formatFilterTime(filters.after) : '',
+        before: filters.before !== null ? formatFilterTime(filters.before) : '',
+        wmin: filters.minWaiting !== null ? String(filters.minWaiting) : '',
+        wmax: filters.maxWaiting !== null ? String(filters.maxWaiting) : '',
+        openings: filters.hasOpenings ? '1' : '',
+        hidden: filters.hasHiddenOpenings ? '1' : '',
+    };
+}
+
+/**
+ * Read a filter from URL route values. Category keys and day codes are matched
+ * case-insensitively and unknown ones are dropped.
+ */
+function routeToFilters(route) {
+    const list = value => (value || '').split(',').map(item => item.trim().toLowerCase()).filter(Boolean);
+    const categories = [...CLASS_CATEGORIES, UNCATEGORIZED];
+
+    return {
+        categories: [...new Set(list(route.cat)
+            .map(key => categories.find(cat => cat.key.toLowerCase() === key)?.key)
+            .filter(Boolean))],
+        days: [...new Set(list(route.days)
+            .map(code => WEEKDAYS.find(day => day.code.toLowerCase() === code)?.code)
+            .filter(Boolean))],
+        after: route.after ? parseUpdateTime(route.after) : null,
+        before: route.before ? parseUpdateTime(route.before) : null,
+        minWaiting: parseFilterCount(route.wmin),
+        maxWaiting: parseFilterCount(route.wmax),
+        hasOpenings: route.openings === '1',
+        hasHiddenOpenings: route.hidden === '1',
+    };
+}
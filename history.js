@@ -0,0 +1,127 @@
+// Snapshot history
+// Keeps the last few fetched datasets in IndexedDB, keyed by `last_updated`,
+// so position movement can be shown between scrapes.
+
+const HISTORY_DB_NAME = 'waitlist-tracker';
+const HISTORY_DB_VERSION = 1;
+const HISTORY_STORE = 'snapshots';
+
+let historyDbName = HISTORY_DB_NAME;
+let historyDbPromise = null;
+
+/**
+ * Keep history for each data source separate, so staging or test data
+ * never mixes with the real snapshots. An empty namespace is the default source.
+ */
+function useHistoryNamespace(namespace) {
+    const name = namespace ? `${HISTORY_DB_NAME}:${namespace}` : HISTORY_DB_NAME;
+    if (name === historyDbName) return;
+    historyDbName = name;
+    historyDbPromise = null;
+}
+
+/**
+ * Open (and create if needed) the history database
+ */
+function openHistoryDb() {
+    if (historyDbPromise) return historyDbPromise;
+
+    historyDbPromise = new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+            reject(new Error('IndexedDB not available'));
+            return;
+        }
+        const request = indexedDB.open(historyDbName, HISTORY_DB_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(HISTORY_STORE)) {
+                db.createObjectStore(HISTORY_STORE, { keyPath: 'lastUpdated' });
+            }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+
+    // Allow a retry on the next call if opening failed
+    historyDbPromise.catch(() => { historyDbPromise = null; });
+    return historyDbPromise;
+}
+
+/**
+ * Wrap an IDBRequest in a promise
+ */
+function idbRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Save a snapshot of the current data and prune to the newest `maxSnapshots`.
+ * Snapshots with the same `last_updated` overwrite each other.
+ */
+async function saveSnapshot(waitlist, action, maxSnapshots) {
+    if (!waitlist?.last_updated) return;
+
+    const db = await openHistoryDb();
+    const tx = db.transaction(HISTORY_STORE, 'readwrite');
+    const store = tx.objectStore(HISTORY_STORE);
+
+    await idbRequest(store.put({
+        lastUpdated: waitlist.last_updated,
+        savedAt: new Date().toISOString(),
+        waitlist,
+        action: action || null,
+    }));
+
+    // Keys come back in ascending order, so the oldest are first
+    const keys = await idbRequest(store.getAllKeys());
+    const excess = keys.length - maxSnapshots;
+    for (let i = 0; i < excess; i++) {
+        store.delete(keys[i]);
+    }
+
+    await new Promise((resolve, reject) => {
+        tx.oncomplete = resolve;
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+/**
+ * Get all stored snapshots, oldest first
+ */
+async function getSnapshots() {
+    const db = await openHistoryDb();
+    const tx = db.transaction(HISTORY_STORE, 'readonly');
+    const snapshots = await idbRequest(tx.objectStore(HISTORY_STORE).getAll());
+    return snapshots.sort((a, b) => a.lastUpdated.localeCompare(b.lastUpdated));
+}
+
+/**
+ * Find a student's position in a class within a snapshot.
+ * Returns null if the class or student isn't in that snapshot.
+ */
+function getSnapshotPosition(snapshot, className, studentName) {
+    const entries = snapshot?.waitlist?.waitlists?.[className];
+    if (!entries) return null;
+    const entry = entries.find(e => e.name === studentName);
+    return entry ? entry.position : null;
+}
+
+/**
+ * Compare a student's current position against a snapshot.
+ * Returns { status: 'up' | 'down' | 'same' | 'new', moved } where `moved` is the number of
+ * places gained (positive) or lost (negative), or null if there's no snapshot to compare.
+ */
+function getPositionChange(snapshot, className, studentName, currentPosition) {
+    if (!snapshot) return null;
+
+    const previous = getSnapshotPosition(snapshot, className, studentName);
+    if (previous === null) return { status: 'new', moved: 0 };
+
+    const moved = previous - currentPosition;
+    if (moved > 0) return { status: 'up', moved };
+    if (moved < 0) return { status: 'down', moved };
+    return { status: 'same', moved: 0 };
+}
@@ -0,0 +1,133 @@
+// Insights
+// Capacity and demand figures per class category from the unified class model, drawn as
+// inline SVG bar charts.
+
+const INSIGHTS = {
+    topSlots: 8,       // Most oversubscribed time slots to show
+    chartWidth: 600,
+    labelWidth: 170,   // Space for row labels on the left of each chart
+    valueWidth: 130,   // Space for value text on the right
+    rowHeight: 26,
+};
+
+/**
+ * Work out a class's capacity: max_students when the class checker read it,
+ * otherwise enrolled + open spots when enrollment is known
+ */
+function getClassCapacity(cls) {
+    if (cls.capacity) return cls.capacity;
+    if (cls.enrolled !== null) return cls.enrolled + cls.openSpots;
+    return null;
+}
+
+/**
+ * Build insights for a list of class records.
+ * Returns { categories, slots, idleOpenings }.
+ */
+function buildInsights(classes) {
+    const categories = new Map();
+    for (const cat of [...CLASS_CATEGORIES, UNCATEGORIZED]) {
+        categories.set(cat.key, {
+            key: cat.key, label: cat.label,
+            sections: 0, waiting: 0, openSpots: 0,
+            enrolled: 0, capacity: 0, sectionsWithEnrollment: 0, waitingWithCapacity: 0,
+        });
+    }
+
+    const slots = new Map();
+    const idleOpenings = [];
+
+    for (const cls of classes) {
+        const stats = categories.get(getClassCategory(cls.name)?.key || UNCATEGORIZED.key);
+        stats.sections += 1;
+        stats.waiting += cls.waiting;
+        stats.openSpots += cls.openSpots;
+        const capacity = getClassCapacity(cls);
+        if (capacity !== null) {
+            stats.sectionsWithEnrollment += 1;
+            stats.enrolled += cls.enrolled ?? capacity - cls.openSpots;
+            stats.capacity += capacity;
+            stats.waitingWithCapacity += cls.waiting;
+        }
+
+        if (cls.schedule) {
+            const key = `${cls.schedule.dayCode}|${cls.schedule.startMinutes}`;
+            if (!slots.has(key)) {
+                slots.set(key, {
+                    label: `${cls.schedule.dayLabel} ${cls.schedule.timeLabel}`,
+                    waiting: 0, openSpots: 0, classes: [],
+                });
+            }
+            const slot = slots.get(key);
+            slot.waiting += cls.waiting;
+            slot.openSpots += cls.openSpots;
+            slot.classes.push(cls.name);
+        }
+
+        if (cls.openSpots > 0 && cls.waiting === 0) {
+            idleOpenings.push(cls);
+        }
+    }
+
+    return {
+        categories: [...categories.values()]
+            .filter(stats => stats.sections > 0)
+            .map(stats => ({
+                ...stats,
+                // Only sections with a known capacity, so demand compares like with like
+                demand: stats.enrolled + stats.waitingWithCapacity,
+                waitingUnknownCapacity: stats.waiting - stats.waitingWithCapacity,
+                waitingPerOpening: stats.openSpots > 0 ? stats.waiting / stats.openSpots : null,
+            })),
+        slots: [...slots.values()]
+            .filter(slot => slot.waiting > slot.openSpots)
+            .sort((a, b) => (b.waiting - b.openSpots) - (a.waiting - a.openSpots))
+            .slice(0, INSIGHTS.topSlots),
+        idleOpenings: idleOpenings.sort((a, b) => b.openSpots - a.openSpots || a.name.localeCompare(b.name)),
+    };
+}
+
+/**
+ * Render a horizontal bar chart as inline SVG.
+ * Each row is { label, segments: [{ value, className, title }], marker?, text }: segments are
+ * stacked left to right, `marker` draws a tick at that value and `text` is shown after the bar.
+ */
+function renderBarChartSvg(rows, title) {
+    const { chartWidth, labelWidth, valueWidth, rowHeight } = INSIGHTS;
+    const barArea = chartWidth - labelWidth - valueWidth;
+    const max = Math.max(1, ...rows.map(row => Math.max(
+        row.segments.reduce((sum, seg) => sum + seg.value, 0),
+        row.marker || 0
+    )));
+    const scale = value => (value / max) * barArea;
+    const height = rows.length * rowHeight + 4;
+
+    const body = rows.map((row, i) => {
+        const y = i * rowHeight + 4;
+        let x = labelWidth;
+        const bars = row.segments.filter(seg => seg.value > 0).map(seg => {
+            const width = scale(seg.value);
+            const rect = `<rect class="${seg.className}" x="${x.toFixed(1)}" y="${y}" width="${width.toFixed(1)}" height="${rowHeight - 8}" rx="3"><title>${escapeHtml(seg.title)}</title></rect>`;
+            x += width;
+            return rect;
+        }).join('');
+        const markerX = row.marker ? labelWidth + scale(row.marker) : null;
+        const marker = markerX !== null
+            ? `<line class="chart-marker" x1="${markerX.toFixed(1)}" x2="${markerX.toFixed(1)}" y1="${y - 2}" y2="${y + rowHeight - 6}"><title>Capacity ${row.marker}</title></line>`
+            : '';
+        const textX = Math.max(x, markerX || 0) + 6;
+
+        return `
+            <text class="chart-label" x="${labelWidth - 8}" y="${y + rowHeight / 2}" text-anchor="end">${escapeHtml(row.label)}</text>
+            ${bars}${marker}
+            <text class="chart-value" x="${textX.toFixed(1)}" y="${y + rowHeight / 2}">${escapeHtml(row.text)}</text>
+        `;
+    }).join('');
+
+    return `
+        <svg class="insights-chart" viewBox="0 0 ${chartWidth} ${height}" role="img" aria-label="${escapeHtml(title)}">
+            <title>${escapeHtml(title)}</title>
+            ${body}
+        </svg>
+    `;
+}
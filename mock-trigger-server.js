@@ -0,0 +1,123 @@
+// Mock trigger server
+// Stands in for the local scraper trigger server so the refresh panel can be tried without
+// running real scrapes. It walks through fake steps and never touches the data files.
+//
+//   node mock-trigger-server.js [--port 5111] [--step-ms 1500] [--fail classes|camps|actions]
+//
+// Then open the tracker with ?trigger=http://localhost:5111 (the default trigger URL).
+// `--fail` makes that scrape fail part-way, to try the error display.
+
+const http = require('http');
+
+const args = process.argv.slice(2);
+const option = (name, fallback) => {
+    const index = args.indexOf(`--${name}`);
+    return index !== -1 && args[index + 1] ? args[index + 1] : fallback;
+};
+
+const PORT = Number(option('port', 5111));
+const STEP_MS = Number(option('step-ms', 1500));
+const FAIL_JOB = option('fail', '');
+
+const JOB_STEPS = {
+    classes: ['Logging in', 'Opening class list', 'Reading waitlists', 'Reading openings', 'Writing waitlist.json', 'Publishing'],
+    camps: ['Logging in', 'Opening camp list', 'Reading camp rosters', 'Writing waitlist.json', 'Publishing'],
+    actions: ['Logging in', 'Checking classes with openings', 'Reading class limits', 'Writing class_action.json', 'Publishing'],
+};
+const JOB_PATHS = { '/run-classes': 'classes', '/run-camps': 'camps', '/run-action-checker': 'actions' };
+
+const state = {
+    running: false,
+    job: null,
+    progress: null,
+    lastResult: null,
+    lastError: '',
+    log: [],
+    timer: null,
+    cancelRequested: false,
+};
+
+function log(level, text) {
+    state.log.push({ time: new Date().toISOString(), level, text });
+    console.log(`[${level}] ${text}`);
+}
+
+function finish(result, error = '') {
+    clearTimeout(state.timer);
+    state.running = false;
+    state.lastResult = result;
+    state.lastError = error;
+    state.progress = { percent: result === 'success' ? 100 : state.progress?.percent || 0, step: result };
+    log(result === 'success' ? 'info' : 'error', error || `Finished: ${result}`);
+}
+
+function runStep(steps, index) {
+    if (state.cancelRequested) {
+        finish('cancelled', 'Cancelled by user');
+        return;
+    }
+    if (index === steps.length) {
+        finish('success');
+        return;
+    }
+    if (state.job === FAIL_JOB && index === Math.floor(steps.length / 2)) {
+        finish('failed', `${steps[index]} failed: timed out waiting for the page (mock failure)`);
+        return;
+    }
+
+    state.progress = { percent: Math.round((index / steps.length) * 100), step: `${steps[index]}...` };
+    log('info', steps[index]);
+    state.timer = setTimeout(() => runStep(steps, index + 1), STEP_MS);
+}
+
+function send(res, status, body) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    });
+    res.end(JSON.stringify(body));
+}
+
+const server = http.createServer((req, res) => {
+    const url = new URL(req.url, `http://localhost:${PORT}`);
+
+    if (req.method === 'OPTIONS') {
+        send(res, 200, {});
+    } else if (req.method === 'GET' && url.pathname === '/health') {
+        send(res, 200, {
+            status: 'ok',
+            running: state.running,
+            job: state.job,
+            progress: state.progress,
+            last_result: state.lastResult,
+            last_error: state.lastError,
+        });
+    } else if (req.method === 'POST' && JOB_PATHS[url.pathname]) {
+        if (state.running) {
+            send(res, 409, { status: 'busy', job: state.job });
+            return;
+        }
+        Object.assign(state, { running: true, job: JOB_PATHS[url.pathname], log: [], cancelRequested: false, lastError: '' });
+        log('info', `Starting ${state.job} scrape`);
+        runStep(JOB_STEPS[state.job], 0);
+        send(res, 200, { status: 'started', job: state.job });
+    } else if (req.method === 'POST' && url.pathname === '/cancel') {
+        if (!state.running) {
+            send(res, 409, { status: 'idle' });
+            return;
+        }
+        state.cancelRequested = true;
+        log('warning', 'Cancel requested, stopping after the current step');
+        send(res, 200, { status: 'cancelling' });
+    } else if (req.method === 'GET' && url.pathname === '/log') {
+        const since = Math.max(0, Number(url.searchParams.get('since')) || 0);
+        send(res, 200, { lines: state.log.slice(since), next: state.log.length });
+    } else {
+        send(res, 404, { error: 'Not found' });
+    }
+});
+
+server.listen(PORT, () => {
+    console.log(`Mock trigger server on http://localhost:${PORT}${FAIL_JOB ? ` (${FAIL_JOB} will fail)` : ''}`);
+});
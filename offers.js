@@ -0,0 +1,119 @@
+// Offer workflow
+// Staff log each call made to offer an opening to the next student on a waitlist.
+// The log lives in localStorage (one list of entries, oldest first) and can be exported as CSV.
+
+const OFFER_LOG_KEY = 'waitlist-tracker:offer-log';
+const STAFF_INITIALS_KEY = 'waitlist-tracker:staff-initials';
+
+const OFFER_OUTCOMES = {
+    called: 'Called',
+    voicemail: 'Left voicemail',
+    accepted: 'Accepted',
+    declined: 'Declined',
+};
+
+/**
+ * Load the offer log from localStorage
+ */
+function loadOfferLog() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(OFFER_LOG_KEY));
+        return Array.isArray(stored) ? stored : [];
+    } catch {
+        return [];
+    }
+}
+
+/**
+ * Save the offer log to localStorage
+ */
+function saveOfferLog(log) {
+    localStorage.setItem(OFFER_LOG_KEY, JSON.stringify(log));
+}
+
+/**
+ * Load the initials of the staff member using this browser
+ */
+function loadStaffInitials() {
+    return localStorage.getItem(STAFF_INITIALS_KEY) || '';
+}
+
+/**
+ * Save the staff member's initials
+ */
+function saveStaffInitials(initials) {
+    localStorage.setItem(STAFF_INITIALS_KEY, initials);
+}
+
+/**
+ * Add an entry to the log and return the updated log
+ */
+function addOfferLogEntry(log, { className, studentName, position, outcome, initials }) {
+    if (!OFFER_OUTCOMES[outcome]) {
+        throw new Error(`Unknown offer outcome: ${outcome}`);
+    }
+    const updated = [...log, {
+        timestamp: new Date().toISOString(),
+        className,
+        studentName,
+        position,
+        outcome,
+        initials,
+    }];
+    saveOfferLog(updated);
+    return updated;
+}
+
+/**
+ * Remove the newest entry for a class (to undo a mis-click) and return the updated log
+ */
+function undoOfferLogEntry(log, className) {
+    const index = log.map(entry => entry.className).lastIndexOf(className);
+    if (index === -1) return log;
+    const updated = log.filter((_, i) => i !== index);
+    saveOfferLog(updated);
+    return updated;
+}
+
+/**
+ * Get the newest log entry per student for one class. Returns Map studentName -> entry.
+ */
+function getLatestOffers(log, className) {
+    const latest = new Map();
+    for (const entry of log) {
+        if (entry.className === className) latest.set(entry.studentName, entry);
+    }
+    return latest;
+}
+
+/**
+ * Work out who holds each open spot in a class.
+ * Students who declined are skipped so the offer moves down the list; students who accepted
+ * keep their spot until the next scrape removes them. Returns [{ student, entry }] per spot.
+ */
+function getOfferQueue(log, className, waitlist, spots) {
+    const latest = getLatestOffers(log, className);
+    const queue = [];
+    for (const student of waitlist) {
+        if (queue.length >= spots) break;
+        const entry = latest.get(student.name) || null;
+        if (entry?.outcome === 'declined') continue;
+        queue.push({ student, entry });
+    }
+    return queue;
+}
+
+/**
+ * Export the offer log as CSV, oldest entry first
+ */
+function offerLogToCsv(log) {
+    const rows = log.map(entry => [
+        new Date(entry.timestamp).toLocaleString(),
+        entry.className,
+        entry.studentName,
+        entry.position,
+        OFFER_OUTCOMES[entry.outcome] || entry.outcome,
+        entry.initials,
+    ]);
+    return rowsToCsv(['Timestamp', 'Class', 'Student', 'Position', 'Outcome', 'Staff'], rows);
+}
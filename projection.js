@@ -0,0 +1,184 @@
+// Time-to-enrollment projection
+// Estimates how many weeks until a waitlisted student is likely to be offered a spot,
+// based on how fast each class's queue has moved across stored snapshots.
+
+const PROJECTION = {
+    minSpanDays: 2,          // Need at least this much history before trusting a class's own rate
+    weeksPerMonth: 4.35,
+    // Spread multipliers: the weaker the evidence, the wider the range
+    spread: { class: 1, category: 1.5, openings: 2 },
+};
+
+/**
+ * Measure how many places a queue advanced between two waitlists.
+ * Uses the average move of students on both lists, or the whole old list if nobody remains.
+ */
+function measureAdvancement(oldEntries, newEntries) {
+    if (!oldEntries || oldEntries.length === 0) return 0;
+
+    const newPositions = new Map((newEntries || []).map(e => [e.name, e.position]));
+    const moves = [];
+    for (const entry of oldEntries) {
+        if (newPositions.has(entry.name)) {
+            moves.push(Math.max(0, entry.position - newPositions.get(entry.name)));
+        }
+    }
+
+    if (moves.length === 0) return oldEntries.length;
+    return moves.reduce((sum, m) => sum + m, 0) / moves.length;
+}
+
+/**
+ * Build per-class queue rates from snapshots (oldest first) plus the current data.
+ * Returns Map className -> { placesPerWeek, spanDays }.
+ */
+function buildQueueRates(snapshots, currentData) {
+    const points = snapshots
+        .filter(snap => snap.lastUpdated !== currentData?.last_updated)
+        .map(snap => ({ time: new Date(snap.lastUpdated).getTime(), waitlists: snap.waitlist?.waitlists || {} }));
+    if (currentData?.waitlists) {
+        points.push({ time: new Date(currentData.last_updated).getTime(), waitlists: currentData.waitlists });
+    }
+
+    const totals = new Map();
+    for (let i = 1; i < points.length; i++) {
+        const before = points[i - 1];
+        const after = points[i];
+        const days = (after.time - before.time) / 86400000;
+        if (!(days > 0)) continue;
+
+        for (const className of Object.keys(before.waitlists)) {
+            const total = totals.get(className) || { places: 0, days: 0 };
+            total.places += measureAdvancement(before.waitlists[className], after.waitlists[className]);
+            total.days += days;
+            totals.set(className, total);
+        }
+    }
+
+    const rates = new Map();
+    for (const [className, total] of totals) {
+        rates.set(className, {
+            placesPerWeek: total.places / (total.days / 7),
+            spanDays: total.days,
+        });
+    }
+    return rates;
+}
+
+/**
+ * Build the projection model used by estimateTimeToOffer
+ */
+function buildProjectionModel(snapshots, currentData, model) {
+    const rates = buildQueueRates(snapshots, currentData);
+
+    // Pool class rates by category for classes without enough history of their own
+    const categoryRates = new Map();
+    for (const [className, rate] of rates) {
+        if (rate.spanDays < PROJECTION.minSpanDays) continue;
+        const category = getClassCategory(className)?.key;
+        if (!category) continue;
+        const pooled = categoryRates.get(category) || { total: 0, count: 0 };
+        pooled.total += rate.placesPerWeek;
+        pooled.count += 1;
+        categoryRates.set(category, pooled);
+    }
+
+    // Without history, use today's openings per section as a rough monthly turnover
+    const openingRates = new Map();
+    const sections = new Map();
+    const countSection = (name, spots) => {
+        const category = getClassCategory(name)?.key;
+        if (!category) return;
+        const entry = sections.get(category) || { spots: 0, sections: 0 };
+        entry.spots += spots;
+        entry.sections += 1;
+        sections.set(category, entry);
+    };
+    for (const cls of model?.classes || []) {
+        countSection(cls.name, cls.reported.openings ? cls.openSpots : 0);
+    }
+    for (const [category, entry] of sections) {
+        if (entry.spots > 0) {
+            openingRates.set(category, entry.spots / entry.sections / PROJECTION.weeksPerMonth);
+        }
+    }
+
+    // Spots open right now in waitlisted classes go to the first students in line
+    const openNow = new Map();
+    for (const cls of model?.classes || []) {
+        if (cls.hasWaitlist && cls.openSpots > 0) openNow.set(cls.name, cls.openSpots);
+    }
+
+    return { rates, categoryRates, openingRates, openNow };
+}
+
+/**
+ * Estimate weeks until a student at `position` in `className` is offered a spot.
+ * Returns { now: true } when a current opening reaches them, { weeks, low, high, basis }
+ * for a projection, or null when there's nothing to base one on.
+ */
+function estimateTimeToOffer(model, className, position) {
+    if (!model || !(position > 0)) return null;
+
+    const placesNeeded = position - (model.openNow.get(className) || 0);
+    if (placesNeeded <= 0) return { now: true, basis: 'openings' };
+
+    let placesPerWeek = null;
+    let basis = null;
+
+    const classRate = model.rates.get(className);
+    const category = getClassCategory(className)?.key;
+    if (classRate && classRate.spanDays >= PROJECTION.minSpanDays) {
+        placesPerWeek = classRate.placesPerWeek;
+        basis = 'class';
+    } else if (category && model.categoryRates.has(category)) {
+        const pooled = model.categoryRates.get(category);
+        placesPerWeek = pooled.total / pooled.count;
+        basis = 'category';
+    } else if (category && model.openingRates.has(category)) {
+        placesPerWeek = model.openingRates.get(category);
+        basis = 'openings';
+    }
+
+    if (!placesPerWeek) {
+        // A class with history but no movement at all gets no estimate rather than "forever"
+        return classRate && basis === 'class' ? { weeks: null, basis, spanDays: classRate.spanDays } : null;
+    }
+
+    // Openings arrive roughly at random, so waiting for N of them has mean N/rate and sd sqrt(N)/rate
+    const weeks = placesNeeded / placesPerWeek;
+    const sd = (Math.sqrt(placesNeeded) / placesPerWeek) * PROJECTION.spread[basis];
+
+    return {
+        weeks,
+        low: Math.max(0, weeks - sd),
+        high: weeks + sd,
+        basis,
+    };
+}
+
+/**
+ * Format an estimate as a short label ("2-5 weeks")
+ */
+function formatEstimate(estimate) {
+    if (!estimate) return '';
+    if (estimate.now) return 'Spot open now';
+    if (estimate.weeks === null) return `No movement in ${Math.round(estimate.spanDays)} days`;
+
+    const low = Math.max(1, Math.floor(estimate.low));
+    const high = Math.max(low, Math.ceil(estimate.high));
+    if (high > 52) return 'Over a year';
+    if (low === high) return `~${low} week${low > 1 ? 's' : ''}`;
+    return `${low}-${high} weeks`;
+}
+
+/**
+ * Describe what an estimate is based on, for tooltips
+ */
+function describeEstimateBasis(estimate) {
+    if (!estimate) return '';
+    if (estimate.now) return 'This class has an opening that reaches this position now';
+    if (estimate.basis === 'class') return "Based on how fast this class's waitlist has moved";
+    if (estimate.basis === 'category') return 'Based on how fast similar classes have moved';
+    return 'Rough guess from current openings in similar classes';
+}
@@ -0,0 +1,112 @@
+// Auto-refresh schedule
+// The scrapers publish new data at fixed times of day. These helpers work out when to fetch next:
+// shortly after each scheduled update, and with growing gaps while an update is overdue.
+
+const REFRESH_SCHEDULE = {
+    delayMinutes: 5,                  // Fetch this long after a scheduled update, to give the scrape time
+    backoffMinutes: [5, 10, 20, 40, 60], // Gaps between retries while an update hasn't shown up
+};
+
+/**
+ * Parse "13:30" (24-hour) into minutes after midnight, or null if invalid
+ */
+function parseUpdateTime(text) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(String(text).trim());
+    if (!match) return null;
+    const hours = Number(match[1]);
+    const minutes = Number(match[2]);
+    if (hours > 23 || minutes > 59) return null;
+    return hours * 60 + minutes;
+}
+
+/**
+ * Get the scheduled update times as sorted minutes after midnight, skipping invalid entries
+ */
+function getUpdateMinutes(times) {
+    return times
+        .map(parseUpdateTime)
+        .filter(minutes => minutes !== null)
+        .sort((a, b) => a - b);
+}
+
+/**
+ * Get the Date of a time of day, `dayOffset` days from `now`
+ */
+function atMinutesOfDay(now, minutes, dayOffset = 0) {
+    const date = new Date(now);
+    date.setDate(date.getDate() + dayOffset);
+    date.setHours(Math.floor(minutes / 60), minutes % 60, 0, 0);
+    return date;
+}
+
+/**
+ * Get the most recent scheduled update at or before `now`, or null with no valid times
+ */
+function getPreviousUpdateTime(now, times) {
+    const minutes = getUpdateMinutes(times);
+    if (minutes.length === 0) return null;
+
+    const today = [...minutes].reverse().find(m => atMinutesOfDay(now, m) <= now);
+    return today !== undefined
+        ? atMinutesOfDay(now, today)
+        : atMinutesOfDay(now, minutes[minutes.length - 1], -1);
+}
+
+/**
+ * Get the next scheduled update after `now`, or null with no valid times
+ */
+function getNextUpdateTime(now, times) {
+    const minutes = getUpdateMinutes(times);
+    if (minutes.length === 0) return null;
+
+    const today = minutes.find(m => atMinutesOfDay(now, m) > now);
+    return today !== undefined
+        ? atMinutesOfDay(now, today)
+        : atMinutesOfDay(now, minutes[0], 1);
+}
+
+/**
+ * Plan the next automatic fetch.
+ * If the data predates the last scheduled update, it's overdue: retry after the backoff gap for
+ * `attempt` (but never later than the next scheduled update). Otherwise wait for the next update.
+ * Returns { at, overdue, expected } where `expected` is the update being waited for.
+ */
+function planNextRefresh(now, times, lastUpdated, attempt = 0) {
+    const previous = getPreviousUpdateTime(now, times);
+    const next = getNextUpdateTime(now, times);
+    if (!next) return null;
+
+    const afterNext = new Date(next.getTime() + REFRESH_SCHEDULE.delayMinutes * 60000);
+    const dataTime = lastUpdated ? new Date(lastUpdated) : null;
+    const overdue = previous !== null && (!dataTime || dataTime < previous);
+
+    if (!overdue) {
+        return { at: afterNext, overdue: false, expected: next };
+    }
+
+    const gaps = REFRESH_SCHEDULE.backoffMinutes;
+    const gap = gaps[Math.min(attempt, gaps.length - 1)];
+    const retry = new Date(now.getTime() + gap * 60000);
+    return { at: retry < afterNext ? retry : afterNext, overdue: true, expected: previous };
+}
+
+/**
+ * Format the time until `date` as "1h 5m" or "4m"
+ */
+function formatCountdown(date, now = new Date()) {
+    const totalMinutes = Math.max(0, Math.ceil((date - now) / 60000));
+    const hours = Math.floor(totalMinutes / 60);
+    const minutes = totalMinutes % 60;
+    return hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`;
+}
+
+/**
+ * Describe the update times for the footer ("8:00 AM, 1:30 PM, and 6:00 PM")
+ */
+function describeUpdateTimes(times) {
+    const labels = getUpdateMinutes(times).map(minutes =>
+        atMinutesOfDay(new Date(), minutes).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })
+    );
+    if (labels.length <= 2) return labels.join(' and ');
+    return `${labels.slice(0, -1).join(', ')}, and ${labels[labels.length - 1]}`;
+}
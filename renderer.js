@@ -0,0 +1,100 @@
+// Incremental DOM renderer
+// Views still describe their output as HTML strings, but patchHtml() morphs the existing DOM into
+// the new markup instead of replacing it: elements with a data-key (cards, keyed by class name)
+// are matched by key, other nodes by position, and only changed nodes, attributes and text are
+// touched. Expanded cards, scroll positions and focus survive re-renders, so listeners belong on
+// the container (event delegation) rather than on the patched elements.
+
+const renderTemplate = document.createElement('template');
+
+// Top-level nodes each container had after its last patch, to spot HTML written some other way
+const patchedContainers = new WeakMap();
+
+/**
+ * Render `html` into `container`, patching the previous render of the same `view`.
+ * A different view, or content written by something else since, is replaced outright.
+ */
+function patchHtml(container, html, view) {
+    renderTemplate.innerHTML = html;
+
+    const last = patchedContainers.get(container);
+    const current = [...container.childNodes];
+    const untouched = last && last.view === view
+        && last.nodes.length === current.length
+        && last.nodes.every((node, i) => node === current[i]);
+
+    if (untouched) {
+        morphChildren(container, renderTemplate.content);
+    } else {
+        container.replaceChildren(renderTemplate.content);
+    }
+
+    patchedContainers.set(container, { view, nodes: [...container.childNodes] });
+}
+
+/**
+ * Make `current`'s children match `next`'s, reusing keyed elements wherever they are
+ */
+function morphChildren(current, next) {
+    const keyed = new Map();
+    for (const child of current.children) {
+        if (child.dataset.key !== undefined) keyed.set(child.dataset.key, child);
+    }
+
+    let cursor = current.firstChild;
+    for (const nextChild of [...next.childNodes]) {
+        const key = nextChild.nodeType === Node.ELEMENT_NODE ? nextChild.dataset.key : undefined;
+        let match = null;
+        if (key !== undefined) {
+            match = keyed.get(key) || null;
+            keyed.delete(key);
+        } else if (cursor && cursor.nodeName === nextChild.nodeName
+            && !(cursor.nodeType === Node.ELEMENT_NODE && cursor.dataset.key !== undefined)) {
+            match = cursor;
+        }
+
+        if (!match) {
+            current.insertBefore(nextChild, cursor);
+        } else {
+            if (match === cursor) {
+                cursor = cursor.nextSibling;
+            } else {
+                current.insertBefore(match, cursor);
+            }
+            morphNode(match, nextChild);
+        }
+    }
+
+    // Whatever wasn't matched is no longer in the markup
+    while (cursor) {
+        const following = cursor.nextSibling;
+        cursor.remove();
+        cursor = following;
+    }
+}
+
+/**
+ * Make one node match another: text is updated in place, elements get their attributes synced and
+ * children morphed, and an element whose tag changed is swapped out
+ */
+function morphNode(current, next) {
+    if (current.isEqualNode(next)) return;
+
+    if (current.nodeType !== Node.ELEMENT_NODE || current.nodeName !== next.nodeName) {
+        if (current.nodeType === next.nodeType && current.nodeType !== Node.ELEMENT_NODE) {
+            current.nodeValue = next.nodeValue;
+        } else {
+            current.replaceWith(next);
+        }
+        return;
+    }
+
+    for (const { name } of [...current.attributes]) {
+        if (!next.hasAttribute(name)) current.removeAttribute(name);
+    }
+    for (const { name, value } of next.attributes) {
+        if (current.getAttribute(name) !== value) current.setAttribute(name, value);
+    }
+
+    morphChildren(current, next);
+}
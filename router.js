@@ -0,0 +1,57 @@
+// URL state
+// Keeps the tab, class filters, search and expanded class in the query string so a view can be
+// bookmarked or texted to a parent, e.g. ?tab=openings&cat=INTERMEDIATE,ADVANCED&days=M,W&after=17:00.
+// Filter values are read by routeToFilters() in filters.js. Other parameters (the data source
+// ones) are left untouched.
+
+const ROUTE_TABS = ['waitlists', 'openings', 'camps', 'schedule', 'families', 'insights'];
+const DEFAULT_ROUTE = {
+    tab: 'waitlists',
+    cat: '', days: '', after: '', before: '', wmin: '', wmax: '', openings: '', hidden: '',
+    q: '',
+    open: '',
+};
+
+/**
+ * Read the view state from a query string, falling back to defaults for anything missing or unknown
+ */
+function readRoute(search = location.search) {
+    const params = new URLSearchParams(search);
+    const tab = (params.get('tab') || '').toLowerCase();
+
+    const route = { tab: ROUTE_TABS.includes(tab) ? tab : DEFAULT_ROUTE.tab };
+    for (const key of Object.keys(DEFAULT_ROUTE)) {
+        if (key !== 'tab') route[key] = params.get(key) || '';
+    }
+    return route;
+}
+
+/**
+ * Build the URL for a view state, keeping any other query parameters and the hash
+ */
+function buildRouteUrl(route, href = location.href) {
+    const url = new URL(href);
+    for (const [key, value] of Object.entries(route)) {
+        if (value && value !== DEFAULT_ROUTE[key]) {
+            url.searchParams.set(key, value);
+        } else {
+            url.searchParams.delete(key);
+        }
+    }
+    return `${url.pathname}${url.search}${url.hash}`;
+}
+
+/**
+ * Record a view state in the browser history.
+ * `push` adds an entry (for back/forward); otherwise the current entry is replaced.
+ */
+function saveRoute(route, push = false) {
+    const url = buildRouteUrl(route);
+    if (url === `${location.pathname}${location.search}${location.hash}`) return;
+
+    if (push) {
+        history.pushState(route, '', url);
+    } else {
+        history.replaceState(route, '', url);
+    }
+}
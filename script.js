@@ -1,108 +1,256 @@
-// GitHub raw URLs for data
-const DATA_URL = 'https://raw.githubusercontent.com/Moser247/waitlist-tracker/main/data/waitlist.json';
-const ACTION_DATA_URL = 'https://raw.githubusercontent.com/Moser247/waitlist-tracker/main/data/class_action.json';
-const TRIGGER_URL = 'http://localhost:5111';
+const DATA_CACHE = 'waitlist-data'; // Must match DATA_CACHE in sw.js
 
+let dataSource = DEFAULT_DATA_SOURCE; // Where data files are read from (see data-source.js)
 let waitlistData = null;
 let actionData = null;
-let currentFilter = '';
-let currentTab = 'waitlists'; // 'waitlists' or 'openings'
+let classModel = null;        // One record per class, joined from both data files
+let currentFilters = createEmptyFilters(); // Class filters from the filter panel (see filters.js)
+let currentTab = 'waitlists'; // 'waitlists', 'openings', 'camps', 'schedule', 'families' or 'insights'
+let openClassName = '';       // Class whose card was expanded last on the waitlists tab (shared in the URL)
+const expandedClasses = new Set(); // Every class whose card is expanded, kept across re-renders
+let snapshotHistory = [];     // Stored snapshots, oldest first
+let historyUnavailable = false; // Snapshot storage failed (already reported)
+let compareSnapshotKey = '';  // last_updated of the snapshot chosen for comparison
+let diffFromKey = '';         // Snapshots compared in the "What changed" panel ('' = default)
+let diffToKey = '';
+let projectionModel = null;   // Queue movement rates for time-to-offer estimates
+let usingCachedData = false;  // True when offline and showing the last good copy
+let revalidateTimer = null;
+let offerLog = loadOfferLog(); // Staff call log for the offer workflow (see offers.js)
+let watchList = loadWatchList(); // Watched students and classes (see watch.js)
+let watchCheckFailing = false; // The last background check for watched changes failed (already reported)
+let autoRefreshTimer = null;
+let autoRefreshPlan = null;   // Next automatic fetch (see refresh-schedule.js)
+let autoRefreshAttempt = 0;   // Timer fetches in a row that found an overdue update still missing
+let sectionProposal = null;   // Last "add a section" simulation on the insights tab
+let categoryStatus = { source: 'default', fileVersion: null, fileChanged: false, fileError: '', skipped: [] }; // See loadCategories
+let categoryDraft = null;     // Category definitions being edited in the admin panel
+let campView = 'list';        // Camps tab layout: 'list' or 'calendar'
+const campFilters = { week: '', session: '', maxPrice: '' };
 
 // Configuration
 const CONFIG = {
     fetchTimeout: 10000,      // 10 second timeout
     maxRetries: 3,            // Retry up to 3 times
     debounceDelay: 300,       // 300ms debounce for search
+    historySize: 90,          // Keep the last 90 snapshots (~1 month of scrapes) in IndexedDB
+    revalidateInterval: 60000, // Retry the network every minute while showing cached data
+    watchInterval: 600000,    // Check for new data every 10 minutes while anything is watched
+    updateTimes: ['8:00', '13:30', '18:00'], // When the scrapers publish new data (24-hour, local time)
 };
 
-// Class type categories for grouping
-const CLASS_CATEGORIES = [
-    { key: '2s', match: /^2s\s*-/i, label: '2s (Talented 2s)' },
-    { key: '3/4s', match: /^3\/4s\s*-/i, label: '3/4s (Tremendous 3s/Fabulous 4s)' },
-    { key: 'BEGINNER', match: /^BEGINNER\s*\//i, label: 'Beginner' },
-    { key: 'ADVANCED BEGINNER', match: /^ADVANCED BEGINNER\s*\//i, label: 'Advanced Beginner' },
-    { key: 'INTERMEDIATE', match: /^INTERMEDIATE\s*\//i, label: 'Intermediate' },
-    { key: 'ADVANCED', match: /^ADVANCED\s*\//i, label: 'Advanced' },
-    { key: 'MASTER', match: /^MASTER\s*\//i, label: 'Master' },
-    { key: 'BOYS BEGINNER', match: /^BOYS BEGINNER\s*\//i, label: 'Boys Beginner' },
-    { key: 'HOME SCHOOL', match: /^HOME SCHOOL\s*\//i, label: 'Home School' },
-    { key: 'NINJA ZONE WHITE', match: /^NINJA ZONE WHITE\s*\//i, label: 'Ninja Zone White' },
-    { key: 'NINJA ZONE YELLOW', match: /^NINJA ZONE YELLOW/i, label: 'Ninja Zone Yellow/Green' },
-    { key: 'NZ - LIL NINJA', match: /^NZ\s*-\s*LIL NINJA/i, label: 'NZ - Lil Ninja' },
-    { key: 'REC TEAM', match: /^REC TEAM/i, label: 'Rec Team' },
-    { key: 'BEGINNER / ADVANCED BEGINNER', match: /^BEGINNER\s*\/\s*ADVANCED BEGINNER/i, label: 'Beginner/Adv Beginner Combo' },
-];
-
 // Load data on page load
 document.addEventListener('DOMContentLoaded', async () => {
+    try {
+        dataSource = await resolveDataSource();
+    } catch (error) {
+        console.error('Error resolving data source, using default:', error);
+        dataSource = DEFAULT_DATA_SOURCE;
+    }
+    updateDataSourceFooter();
+
+    // Category definitions decide how classes are grouped, so load them before the data
+    await loadCategories();
+
+    // Check for trigger server (uses the data source's trigger URL)
+    checkTriggerServer();
+
+    // Restore the tab, filter and search from the URL before the first render
+    applyRoute(readRoute(), false);
+
     await loadData();
+    setupFileDrop();
+    scrollToOpenCard();
 
     // Set up search with debounce
     const searchInput = document.getElementById('searchInput');
     const searchBtn = document.getElementById('searchBtn');
-    const classFilter = document.getElementById('classFilter');
+    const historyCompare = document.getElementById('historyCompare');
 
-    searchBtn.addEventListener('click', performSearch);
+    // Searches replace the current history entry rather than adding one per keystroke
+    const searchAndSaveRoute = () => {
+        performSearch();
+        saveRoute(getCurrentRoute());
+    };
+
+    searchBtn.addEventListener('click', searchAndSaveRoute);
     searchInput.addEventListener('keypress', (e) => {
-        if (e.key === 'Enter') performSearch();
+        if (e.key === 'Enter') searchAndSaveRoute();
     });
 
     // Debounced search on input
-    searchInput.addEventListener('input', debounce(performSearch, CONFIG.debounceDelay));
+    searchInput.addEventListener('input', debounce(searchAndSaveRoute, CONFIG.debounceDelay));
 
-    // Class filter change
-    classFilter.addEventListener('change', () => {
-        currentFilter = classFilter.value;
-        showSummary();
-        if (currentTab === 'waitlists') {
-            performSearch();
-        } else if (currentTab === 'openings') {
-            displayOpenings();
-        }
+    // Filter panel: every change applies at once, chips remove one part each
+    setupFilterPanel();
+
+    // Comparison snapshot change
+    historyCompare.addEventListener('change', () => {
+        compareSnapshotKey = historyCompare.value;
+        performSearch();
     });
 
-    // Tab switching
+    // Tab switching (arrow keys, Home and End move between tabs too)
     document.querySelectorAll('.tab').forEach(tab => {
         tab.addEventListener('click', () => {
-            // Update active tab
-            document.querySelectorAll('.tab').forEach(t => {
-                t.classList.remove('active');
-                t.setAttribute('aria-selected', 'false');
-            });
-            tab.classList.add('active');
-            tab.setAttribute('aria-selected', 'true');
-
-            // Switch content
-            currentTab = tab.dataset.tab;
-
-            // Show/hide search and filter based on tab
-            const filtersContainer = document.querySelector('.filters-container');
-            const searchBox = document.querySelector('.search-box');
-            if (currentTab === 'openings') {
-                // Show filter but hide search for openings
-                filtersContainer.style.display = 'block';
-                searchBox.style.display = 'none';
-            } else if (currentTab === 'camps') {
-                filtersContainer.style.display = 'none';
-            } else {
-                // Waitlists tab - show both search and filter
-                filtersContainer.style.display = 'block';
-                searchBox.style.display = 'flex';
-            }
-
-            // Refresh display
-            showSummary();
-            if (currentTab === 'waitlists') {
-                performSearch();
-            } else if (currentTab === 'openings') {
-                displayOpenings();
-            } else if (currentTab === 'camps') {
-                displayCamps();
-            }
+            switchTab(tab.dataset.tab);
+            refreshCurrentView();
+            saveRoute(getCurrentRoute(), true);
         });
     });
+    setupTabList(document.querySelector('.tab-container'), 'results');
+
+    // Enter/Space expand class cards
+    setupButtonKeys(document.getElementById('results'));
+
+    // Watch buttons on student and class cards
+    // Result cards are patched in place, so their controls are handled on the container
+    const resultsDiv = document.getElementById('results');
+    resultsDiv.addEventListener('click', handleWatchClick);
+    resultsDiv.addEventListener('click', handleCampIcsClick);
+    resultsDiv.addEventListener('click', handleCardClick);
+    resultsDiv.addEventListener('click', handleFamilyControls);
+    resultsDiv.addEventListener('submit', handleFamilyControls);
+
+    // Camp view and filters
+    document.getElementById('campFilters').addEventListener('change', (e) => {
+        if (e.target.id === 'campViewSelect') campView = e.target.value;
+        if (e.target.id === 'campWeekFilter') campFilters.week = e.target.value;
+        if (e.target.id === 'campSessionFilter') campFilters.session = e.target.value;
+        if (e.target.id === 'campPriceFilter') campFilters.maxPrice = e.target.value;
+        refreshCurrentView();
+    });
+
+    // Re-fetch in the background so watched students and classes can raise alerts
+    setInterval(checkForWatchedUpdates, CONFIG.watchInterval);
+
+    // Keep the countdown to the next scheduled update current
+    setInterval(updateRefreshCountdown, 30000);
+
+    // Category admin panel
+    const categoryAdmin = document.getElementById('categoryAdmin');
+    document.getElementById('editCategoriesBtn').addEventListener('click', toggleCategoryAdmin);
+    categoryAdmin.addEventListener('input', handleCategoryAdminInput);
+    categoryAdmin.addEventListener('click', handleCategoryAdminClick);
+    document.getElementById('categoryNotice').addEventListener('click', (e) => {
+        if (e.target.closest('[data-action="review"]') && categoryDraft === null) toggleCategoryAdmin();
+    });
+
+    // Export buttons
+    document.querySelector('.export-bar').addEventListener('click', (e) => {
+        const button = e.target.closest('[data-export]');
+        if (button) exportCurrentTab(button.dataset.export);
+    });
+
+    // Back/forward restore the view from the URL
+    window.addEventListener('popstate', () => {
+        applyRoute(readRoute());
+        scrollToOpenCard();
+    });
+
+    // Pick which updates the "What changed" panel compares
+    document.getElementById('whatChanged').addEventListener('change', (e) => {
+        if (e.target.id === 'diffFrom') diffFromKey = e.target.value;
+        if (e.target.id === 'diffTo') diffToKey = e.target.value;
+        displayWhatChanged();
+    });
+
+    // Swap in fresh data as soon as the connection comes back
+    window.addEventListener('online', revalidateData);
 });
 
+/**
+ * Activate a tab and show the search/filter controls it uses (doesn't re-render results)
+ */
+function switchTab(tabName) {
+    currentTab = tabName;
+
+    document.querySelectorAll('.tab').forEach(tab => {
+        const active = tab.dataset.tab === tabName;
+        tab.classList.toggle('active', active);
+        tab.setAttribute('aria-selected', active ? 'true' : 'false');
+    });
+    syncTabList(document.querySelector('.tab-container'));
+
+    // Show/hide search and filter based on tab
+    const filtersContainer = document.querySelector('.filters-container');
+    const searchBox = document.querySelector('.search-box');
+    if (currentTab === 'openings' || currentTab === 'schedule' || currentTab === 'insights') {
+        // Show filter but hide search for openings, schedule and insights
+        filtersContainer.style.display = 'block';
+        searchBox.style.display = 'none';
+    } else if (currentTab === 'camps') {
+        // Camps have their own filters
+        filtersContainer.style.display = 'none';
+    } else {
+        // Waitlists and families tabs - show both search and filter
+        filtersContainer.style.display = 'block';
+        searchBox.style.display = 'flex';
+    }
+    document.getElementById('campFilters').style.display = currentTab === 'camps' ? 'flex' : 'none';
+    updateHistoryCompareVisibility();
+}
+
+/**
+ * Get the current view state for the URL (see router.js)
+ */
+function getCurrentRoute() {
+    return {
+        tab: currentTab,
+        ...filtersToRoute(currentFilters),
+        q: document.getElementById('searchInput').value.trim(),
+        open: currentTab === 'waitlists' ? openClassName : '',
+    };
+}
+
+/**
+ * Restore a view state read from the URL, re-rendering unless `render` is false
+ */
+function applyRoute(route, render = true) {
+    // Unknown category keys and day codes are dropped (see routeToFilters)
+    currentFilters = routeToFilters(route);
+    writeFiltersToForm(currentFilters);
+    renderFilterChips();
+    document.getElementById('searchInput').value = route.q;
+    openClassName = route.open;
+    if (route.open) expandedClasses.add(route.open);
+
+    switchTab(route.tab);
+    if (render) {
+        refreshCurrentView();
+        displayActionNeeded();
+    }
+}
+
+/**
+ * Bring the expanded class card into view (after following a link to it)
+ */
+function scrollToOpenCard() {
+    const card = document.querySelector('.result-card.expandable.expanded');
+    if (card) card.scrollIntoView({ block: 'center' });
+}
+
+/**
+ * Re-render the summary and results for the current tab
+ */
+function refreshCurrentView() {
+    showSummary();
+    // Keep keyboard focus on the same card or button when the results are redrawn
+    preserveFocus(document.getElementById('results'), () => {
+        if (currentTab === 'waitlists' || currentTab === 'families') {
+            performSearch();
+        } else if (currentTab === 'openings') {
+            displayOpenings();
+        } else if (currentTab === 'camps') {
+            displayCamps();
+        } else if (currentTab === 'schedule') {
+            displaySchedule();
+        } else if (currentTab === 'insights') {
+            displayInsights();
+        }
+    });
+}
+
 /**
  * Debounce function to limit how often a function is called
  */
@@ -157,76 +305,592 @@ async function fetchWithRetry(url, options = {}, retries = CONFIG.maxRetries) {
 }
 
 /**
- * Get the category for a class name
+ * Add a cache-busting `t` parameter to a URL, keeping any query string it already has
+ */
+function withCacheBuster(url) {
+    const busted = new URL(url, location.href);
+    busted.searchParams.set('t', Date.now());
+    return busted.href;
+}
+
+/**
+ * Fetch a data file, falling back to the last good copy when offline.
+ * Returns { data, fromCache }.
+ */
+async function fetchDataFile(url, bustCache = false, retries = CONFIG.maxRetries) {
+    try {
+        const response = await fetchWithRetry(bustCache ? withCacheBuster(url) : url, {}, retries);
+        return {
+            data: await response.json(),
+            // The service worker marks responses it served from its cache
+            fromCache: response.headers.get('X-Served-From-Cache') === '1',
+        };
+    } catch (error) {
+        // The service worker may not be controlling this page yet, so check its cache directly
+        const cached = await getCachedDataFile(url);
+        if (!cached) throw error;
+        return { data: cached, fromCache: true };
+    }
+}
+
+/**
+ * Read a data file from the service worker's cache, or null if it isn't there
+ */
+async function getCachedDataFile(url) {
+    if (typeof caches === 'undefined') return null;
+    try {
+        const cache = await caches.open(DATA_CACHE);
+        const response = await cache.match(url, { ignoreSearch: true });
+        return response ? await response.json() : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Show or hide the "showing cached data" banner and retry the network while it's shown
+ */
+function updateOfflineBanner() {
+    const banner = document.getElementById('offlineBanner');
+
+    clearInterval(revalidateTimer);
+    revalidateTimer = null;
+
+    if (!usingCachedData) {
+        banner.style.display = 'none';
+        return;
+    }
+
+    const updated = waitlistData?.last_updated
+        ? new Date(waitlistData.last_updated).toLocaleString()
+        : 'an earlier visit';
+    banner.innerHTML = `
+        <strong>Offline</strong> - showing cached data from ${escapeHtml(updated)}.
+        It will update automatically when the connection returns.
+    `;
+    banner.style.display = 'block';
+
+    revalidateTimer = setInterval(revalidateData, CONFIG.revalidateInterval);
+}
+
+/**
+ * Check whether the network is back and, if so, reload fresh data
+ */
+async function revalidateData() {
+    if (!usingCachedData || !dataSource.dataUrl) return;
+    try {
+        const response = await fetch(withCacheBuster(dataSource.dataUrl), { signal: AbortSignal.timeout(CONFIG.fetchTimeout) });
+        if (!response.ok || response.headers.get('X-Served-From-Cache') === '1') return;
+    } catch {
+        // Still offline
+        return;
+    }
+    await loadData(true);
+}
+
+/**
+ * Get the scrape times for the active data source (a config file can set its own)
+ */
+function getUpdateTimes() {
+    return dataSource.updateTimes || CONFIG.updateTimes;
+}
+
+/**
+ * Plan the next automatic fetch from the scrape schedule and start its timer
+ */
+function scheduleAutoRefresh() {
+    clearTimeout(autoRefreshTimer);
+    autoRefreshTimer = null;
+    autoRefreshPlan = null;
+
+    // Dropped files never change
+    if (dataSource.type !== 'file') {
+        const plan = planNextRefresh(new Date(), getUpdateTimes(), waitlistData?.last_updated, autoRefreshAttempt);
+        // Once the expected update has arrived the backoff starts over
+        if (!plan?.overdue) autoRefreshAttempt = 0;
+        if (plan) {
+            autoRefreshPlan = plan;
+            autoRefreshTimer = setTimeout(() => {
+                // Only the timer's own fetches count: each one that still finds the update
+                // missing waits longer before the next (manual and watch reloads don't)
+                if (plan.overdue) autoRefreshAttempt += 1;
+                loadData(true);
+            }, plan.at - Date.now());
+        }
+    }
+    updateRefreshCountdown();
+}
+
+/**
+ * Show the scrape times and a countdown to the next automatic fetch in the footer
+ */
+function updateRefreshCountdown() {
+    document.getElementById('updateTimesNote').textContent =
+        `Updates occur at ${describeUpdateTimes(getUpdateTimes())} daily`;
+
+    const countdown = document.getElementById('nextRefresh');
+    if (!autoRefreshPlan) {
+        countdown.style.display = 'none';
+        return;
+    }
+
+    const expected = autoRefreshPlan.expected.toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+    countdown.textContent = autoRefreshPlan.overdue
+        ? `The ${expected} update hasn't arrived yet. Checking again in ${formatCountdown(autoRefreshPlan.at)}.`
+        : `Next update ${expected}. Refreshing automatically in ${formatCountdown(autoRefreshPlan.at)}.`;
+    countdown.classList.toggle('overdue', autoRefreshPlan.overdue);
+    countdown.style.display = 'block';
+}
+
+/**
+ * Load the category definitions and make them the active categories
+ */
+async function loadCategories() {
+    const { definitions, source, fileVersion, fileChanged, fileError } = await loadCategoryDefinitions();
+    const { categories, errors } = compileCategories(definitions);
+    setClassCategories(categories);
+    categoryStatus = { source, fileVersion, fileChanged, fileError, skipped: errors };
+    updateCategoryNotice();
+}
+
+/**
+ * Describe what's wrong with the active categories, one sentence per problem
+ */
+function getCategoryProblems() {
+    const problems = [];
+    if (categoryStatus.source === 'default') {
+        problems.push(`categories.json could not be loaded (${categoryStatus.fileError}), so the built-in categories are in use and may be out of date.`);
+    }
+    if (categoryStatus.fileChanged) {
+        problems.push('categories.json has changed since the category edits saved in this browser were made. The local edits still apply; review them, or reset to use the new file.');
+    }
+    if (categoryStatus.skipped.length > 0) {
+        const rows = categoryStatus.skipped.map(err => `row ${err.index + 1}: ${err.message}`).join('; ');
+        problems.push(`Skipped invalid categories (${rows}). Classes they would match are listed under ${UNCATEGORIZED.label}.`);
+    }
+    return problems;
+}
+
+/**
+ * Show or hide the banner about category problems
+ */
+function updateCategoryNotice() {
+    const banner = document.getElementById('categoryNotice');
+    const problems = getCategoryProblems();
+    if (problems.length === 0) {
+        banner.style.display = 'none';
+        return;
+    }
+
+    banner.innerHTML = `
+        <strong>Class categories</strong>
+        <ul>${problems.map(problem => `<li>${escapeHtml(problem)}</li>`).join('')}</ul>
+        <button type="button" class="link-btn" data-action="review">Review categories</button>
+    `;
+    banner.style.display = 'block';
+}
+
+/**
+ * Open or close the category admin panel
+ */
+function toggleCategoryAdmin() {
+    const panel = document.getElementById('categoryAdmin');
+    if (panel.style.display !== 'none') {
+        panel.style.display = 'none';
+        categoryDraft = null;
+        return;
+    }
+
+    categoryDraft = toCategoryDefinitions(CLASS_CATEGORIES);
+    panel.style.display = 'block';
+    displayCategoryAdmin();
+    panel.scrollIntoView({ block: 'start' });
+}
+
+/**
+ * Render the category admin panel for the current draft
+ */
+function displayCategoryAdmin() {
+    const panel = document.getElementById('categoryAdmin');
+    const sourceLabels = {
+        file: 'Loaded from categories.json',
+        local: 'Local edits saved in this browser (export them to update categories.json)',
+        default: 'Built-in categories (categories.json could not be loaded)',
+    };
+    const problems = getCategoryProblems();
+
+    const rows = categoryDraft.map((def, index) => `
+        <tr data-index="${index}">
+            <td><input type="text" data-field="key" value="${escapeHtml(def.key)}" aria-label="Key"></td>
+            <td><input type="text" data-field="label" value="${escapeHtml(def.label)}" aria-label="Label"></td>
+            <td><input type="text" data-field="pattern" value="${escapeHtml(def.pattern)}" aria-label="Pattern" spellcheck="false"></td>
+            <td class="category-matches"></td>
+            <td class="category-row-actions">
+                <button type="button" data-action="up" aria-label="Move up"${index === 0 ? ' disabled' : ''}>&uarr;</button>
+                <button type="button" data-action="remove" aria-label="Remove">&times;</button>
+            </td>
+        </tr>
+    `).join('');
+
+    panel.innerHTML = `
+        <div class="category-admin-header">
+            <h3>Class categories</h3>
+            <button type="button" class="link-btn" data-action="close">Close</button>
+        </div>
+        <p class="category-source">${escapeHtml(sourceLabels[categoryStatus.source])}. Patterns are case-insensitive regular expressions tested against class names; when several match, the longest key wins.</p>
+        ${problems.length > 0 ? `<ul class="category-problems">${problems.map(problem => `<li>${escapeHtml(problem)}</li>`).join('')}</ul>` : ''}
+        <table class="category-table">
+            <thead><tr><th>Key</th><th>Label</th><th>Pattern</th><th>Classes</th><th></th></tr></thead>
+            <tbody>${rows}</tbody>
+        </table>
+        <button type="button" class="category-add" data-action="add">+ Add category</button>
+        <div class="category-test">
+            <label for="categoryTestInput">Test a class name:</label>
+            <input type="text" id="categoryTestInput" placeholder="e.g. TUMBLING / W 5:00">
+            <span id="categoryTestResult"></span>
+        </div>
+        <div id="categoryUnmatched" class="category-unmatched"></div>
+        <div class="category-admin-actions">
+            <button type="button" data-action="save">Save</button>
+            <button type="button" data-action="export">Export categories.json</button>
+            <button type="button" data-action="reset">Discard local edits</button>
+        </div>
+    `;
+    updateCategoryAdminMatches();
+}
+
+/**
+ * Re-test the draft categories against the live class names without re-rendering the inputs
+ */
+function updateCategoryAdminMatches() {
+    const panel = document.getElementById('categoryAdmin');
+    const { categories, errors } = compileCategories(categoryDraft);
+    const byPriority = [...categories].sort((a, b) => b.key.length - a.key.length);
+    const names = (classModel?.classes || []).map(cls => cls.name).sort();
+
+    const counts = new Map();
+    const unmatched = [];
+    for (const name of names) {
+        const category = matchClassCategory(name, byPriority);
+        if (category) {
+            counts.set(category.key, (counts.get(category.key) || 0) + 1);
+        } else {
+            unmatched.push(name);
+        }
+    }
+
+    panel.querySelectorAll('.category-table tbody tr').forEach(row => {
+        const index = Number(row.dataset.index);
+        const error = errors.find(e => e.index === index);
+        row.classList.toggle('invalid', Boolean(error));
+        row.title = error ? error.message : '';
+        row.querySelector('.category-matches').textContent = error ? '!' : (counts.get(categoryDraft[index].key.trim()) || 0);
+    });
+
+    const testName = document.getElementById('categoryTestInput').value.trim();
+    const testMatch = testName ? matchClassCategory(testName, byPriority) : null;
+    document.getElementById('categoryTestResult').textContent = testName
+        ? (testMatch ? `→ ${testMatch.label}` : `→ ${UNCATEGORIZED.label}`)
+        : '';
+
+    document.getElementById('categoryUnmatched').innerHTML = unmatched.length > 0 ? `
+        <div class="category-unmatched-heading">Classes in the current data no category matches (${unmatched.length}):</div>
+        <ul>${unmatched.map(name => `<li>${escapeHtml(name)}</li>`).join('')}</ul>
+    ` : '<div class="category-unmatched-heading">Every class in the current data has a category.</div>';
+}
+
+/**
+ * Handle typing in the category admin panel
  */
-function getClassCategory(className) {
-    // Check longer/more specific matches first (BEGINNER / ADVANCED BEGINNER before BEGINNER)
-    const sortedCategories = [...CLASS_CATEGORIES].sort((a, b) => b.key.length - a.key.length);
+function handleCategoryAdminInput(e) {
+    const row = e.target.closest('tr[data-index]');
+    if (row && e.target.dataset.field) {
+        categoryDraft[Number(row.dataset.index)][e.target.dataset.field] = e.target.value;
+    }
+    updateCategoryAdminMatches();
+}
 
-    for (const category of sortedCategories) {
-        if (category.match.test(className)) {
-            return category;
+/**
+ * Handle buttons in the category admin panel
+ */
+async function handleCategoryAdminClick(e) {
+    const button = e.target.closest('button[data-action]');
+    if (!button) return;
+
+    const index = Number(button.closest('tr[data-index]')?.dataset.index);
+    const action = button.dataset.action;
+
+    if (action === 'close') {
+        toggleCategoryAdmin();
+    } else if (action === 'add') {
+        categoryDraft.push({ key: '', label: '', pattern: '' });
+        displayCategoryAdmin();
+        document.querySelector('#categoryAdmin tbody tr:last-child input').focus();
+    } else if (action === 'remove') {
+        categoryDraft.splice(index, 1);
+        displayCategoryAdmin();
+    } else if (action === 'up') {
+        [categoryDraft[index - 1], categoryDraft[index]] = [categoryDraft[index], categoryDraft[index - 1]];
+        displayCategoryAdmin();
+    } else if (action === 'export') {
+        const definitions = categoryDraft.map(({ key, label, pattern }) => ({ key: key.trim(), label: label.trim(), pattern: pattern.trim() }));
+        downloadFile('categories.json', `${JSON.stringify({ categories: definitions }, null, 4)}\n`, 'application/json');
+    } else if (action === 'save') {
+        const { categories, errors } = compileCategories(categoryDraft);
+        if (errors.length > 0) {
+            alert(`Fix the highlighted categories first:\n${errors.map(err => `Row ${err.index + 1}: ${err.message}`).join('\n')}`);
+            return;
         }
+        // Edits made while the file is unreachable are based on the built-in list
+        const basedOn = categoryStatus.fileVersion ?? getCategoriesVersion(DEFAULT_CATEGORY_DEFINITIONS);
+        saveCategoryOverrides(toCategoryDefinitions(categories), basedOn);
+        setClassCategories(categories);
+        categoryStatus = { ...categoryStatus, source: 'local', fileChanged: false, skipped: [] };
+        updateCategoryNotice();
+        recategorizeClasses();
+        displayCategoryAdmin();
+    } else if (action === 'reset') {
+        clearCategoryOverrides();
+        await loadCategories();
+        categoryDraft = toCategoryDefinitions(CLASS_CATEGORIES);
+        recategorizeClasses();
+        displayCategoryAdmin();
     }
-    return null;
 }
 
 /**
- * Get unique class categories from waitlist data
+ * Re-sort the loaded classes into categories after the definitions changed, without refetching
+ */
+function recategorizeClasses() {
+    if (!waitlistData) return;
+    classModel = buildClassModel(waitlistData, actionData);
+    populateClassFilter();
+    displayActionNeeded();
+    refreshCurrentView();
+}
+
+/**
+ * Show the active data source in the footer
+ */
+function updateDataSourceFooter() {
+    document.getElementById('dataSourceLabel').textContent = dataSource.label;
+    document.getElementById('resetSourceBtn').style.display = dataSource === DEFAULT_DATA_SOURCE ? 'none' : 'inline';
+}
+
+/**
+ * Switch to a new data source and reload everything from it
+ */
+async function switchDataSource(source) {
+    dataSource = source;
+    autoRefreshAttempt = 0;
+    updateDataSourceFooter();
+    await loadData(true);
+}
+
+/**
+ * Let JSON files be dropped onto the page (or picked) as a local data source
+ */
+function setupFileDrop() {
+    const fileInput = document.getElementById('sourceFileInput');
+
+    const useFiles = async (files) => {
+        const jsonFiles = [...files].filter(file => file.name.toLowerCase().endsWith('.json'));
+        if (jsonFiles.length === 0) return;
+        try {
+            await switchDataSource(await createFileDataSource(jsonFiles));
+        } catch (error) {
+            alert(`Could not load file: ${error.message}`);
+        }
+    };
+
+    document.getElementById('loadFileBtn').addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', () => {
+        useFiles(fileInput.files);
+        fileInput.value = '';
+    });
+
+    document.getElementById('resetSourceBtn').addEventListener('click', async () => {
+        // Query parameters pick the source, so drop them (keeping the view) to get back to the default
+        if (location.search !== new URL(buildRouteUrl(getCurrentRoute()), location.href).search) {
+            location.href = buildRouteUrl(getCurrentRoute(), location.origin + location.pathname);
+            return;
+        }
+        await switchDataSource(DEFAULT_DATA_SOURCE);
+    });
+
+    document.addEventListener('dragover', (e) => {
+        if (!e.dataTransfer?.types.includes('Files')) return;
+        e.preventDefault();
+        document.body.classList.add('drop-active');
+    });
+    document.addEventListener('dragleave', (e) => {
+        if (e.relatedTarget === null) document.body.classList.remove('drop-active');
+    });
+    document.addEventListener('drop', (e) => {
+        if (!e.dataTransfer?.files.length) return;
+        e.preventDefault();
+        document.body.classList.remove('drop-active');
+        useFiles(e.dataTransfer.files);
+    });
+}
+
+/**
+ * Get unique class categories from the class model
  */
 function getUniqueCategories() {
-    if (!waitlistData || !waitlistData.waitlists) return [];
+    if (!classModel) return [];
 
     const foundCategories = new Set();
 
-    for (const className of Object.keys(waitlistData.waitlists)) {
-        const category = getClassCategory(className);
-        if (category) {
-            foundCategories.add(category.key);
+    for (const cls of classModel.classes) {
+        if (cls.category) {
+            foundCategories.add(cls.category);
         }
     }
 
     // Return categories in the defined order, only those that exist in the data
-    return CLASS_CATEGORIES.filter(cat => foundCategories.has(cat.key));
+    const categories = CLASS_CATEGORIES.filter(cat => foundCategories.has(cat.key));
+
+    // Classes no category matches get their own option instead of disappearing from the filter
+    if (classModel.classes.some(cls => !cls.category)) {
+        categories.push(UNCATEGORIZED);
+    }
+    return categories;
 }
 
 /**
- * Populate the class filter dropdown
+ * Populate the class type checkboxes in the filter panel, keeping the current selection
  */
 function populateClassFilter() {
-    const classFilter = document.getElementById('classFilter');
     const categories = getUniqueCategories();
 
-    // Clear existing options (except "All Classes")
-    classFilter.innerHTML = '<option value="">All Classes</option>';
-
-    for (const category of categories) {
-        const option = document.createElement('option');
-        option.value = category.key;
-        option.textContent = category.label;
-        classFilter.appendChild(option);
-    }
+    document.getElementById('categoryFilters').innerHTML = categories.map(category => `
+        <label class="filter-option">
+            <input type="checkbox" name="category" value="${escapeHtml(category.key)}"${currentFilters.categories.includes(category.key) ? ' checked' : ''}>
+            ${escapeHtml(category.label)}
+        </label>
+    `).join('');
 }
 
 /**
- * Get classes that match the current filter
+ * Build the weekday checkboxes and wire up the filter panel and its chips
  */
-function getFilteredClasses() {
-    if (!waitlistData || !waitlistData.waitlists) return [];
+function setupFilterPanel() {
+    const form = document.getElementById('filterForm');
+
+    document.getElementById('dayFilters').innerHTML = WEEKDAYS.map(day => `
+        <label class="filter-option" title="${day.long}">
+            <input type="checkbox" name="day" value="${day.code}"${currentFilters.days.includes(day.code) ? ' checked' : ''}>
+            ${day.label}
+        </label>
+    `).join('');
+
+    form.addEventListener('submit', (e) => e.preventDefault());
+    form.addEventListener('change', () => {
+        currentFilters = readFiltersFromForm();
+        applyFilters();
+    });
+    document.getElementById('clearFiltersBtn').addEventListener('click', () => {
+        currentFilters = createEmptyFilters();
+        writeFiltersToForm(currentFilters);
+        applyFilters();
+    });
 
-    const allClasses = Object.keys(waitlistData.waitlists);
+    document.getElementById('filterChips').addEventListener('click', (e) => {
+        const chip = e.target.closest('[data-chip]');
+        if (!chip) return;
+        currentFilters = chip.dataset.chip === 'all'
+            ? createEmptyFilters()
+            : removeFilterChip(currentFilters, chip.dataset.chip);
+        writeFiltersToForm(currentFilters);
+        applyFilters();
+
+        // The removed chip is gone, so keep keyboard focus in the chip list
+        const chips = document.getElementById('filterChips');
+        (chips.querySelector('[data-chip]') || document.querySelector('#filterPanel summary')).focus();
+    });
+}
 
-    if (!currentFilter) {
-        return allClasses;
-    }
+/**
+ * Read the filter panel's inputs into a filter (see filters.js)
+ */
+function readFiltersFromForm() {
+    const form = document.getElementById('filterForm');
+    const checked = name => [...form.querySelectorAll(`input[name="${name}"]:checked`)].map(input => input.value);
+
+    return {
+        categories: checked('category'),
+        days: checked('day'),
+        after: form.elements.after.value ? parseUpdateTime(form.elements.after.value) : null,
+        before: form.elements.before.value ? parseUpdateTime(form.elements.before.value) : null,
+        minWaiting: parseFilterCount(form.elements.minWaiting.value),
+        maxWaiting: parseFilterCount(form.elements.maxWaiting.value),
+        hasOpenings: form.elements.hasOpenings.checked,
+        hasHiddenOpenings: form.elements.hasHiddenOpenings.checked,
+    };
+}
 
-    // Find the category for the current filter
-    const filterCategory = CLASS_CATEGORIES.find(cat => cat.key === currentFilter);
-    if (!filterCategory) {
-        return allClasses;
+/**
+ * Set the filter panel's inputs from a filter
+ */
+function writeFiltersToForm(filters) {
+    const form = document.getElementById('filterForm');
+    for (const input of form.querySelectorAll('input[name="category"]')) {
+        input.checked = filters.categories.includes(input.value);
+    }
+    for (const input of form.querySelectorAll('input[name="day"]')) {
+        input.checked = filters.days.includes(input.value);
     }
+    form.elements.after.value = filters.after !== null ? formatFilterTime(filters.after) : '';
+    form.elements.before.value = filters.before !== null ? formatFilterTime(filters.before) : '';
+    form.elements.minWaiting.value = filters.minWaiting ?? '';
+    form.elements.maxWaiting.value = filters.maxWaiting ?? '';
+    form.elements.hasOpenings.checked = filters.hasOpenings;
+    form.elements.hasHiddenOpenings.checked = filters.hasHiddenOpenings;
+}
+
+/**
+ * Show the active filters as removable chips, with the count on the panel's toggle
+ */
+function renderFilterChips() {
+    const chips = describeFilterChips(currentFilters);
+    document.getElementById('filterCount').textContent = chips.length > 0 ? `(${chips.length})` : '';
+
+    const container = document.getElementById('filterChips');
+    container.hidden = chips.length === 0;
+    container.innerHTML = chips.length === 0 ? '' : `
+        ${chips.map(chip => `
+            <button type="button" class="filter-chip" data-chip="${escapeHtml(chip.id)}" aria-label="Remove filter: ${escapeHtml(chip.label)}">
+                ${escapeHtml(chip.label)} <span aria-hidden="true">×</span>
+            </button>
+        `).join('')}
+        ${chips.length > 1 ? '<button type="button" class="filter-chip-clear" data-chip="all">Clear all</button>' : ''}
+    `;
+}
+
+/**
+ * Re-render everything the filters apply to and record them in the URL
+ */
+function applyFilters() {
+    renderFilterChips();
+    refreshCurrentView();
+    displayActionNeeded();
+    saveRoute(getCurrentRoute(), true);
+}
+
+/**
+ * Check if a class record matches the current filters
+ */
+function matchesCurrentFilter(cls) {
+    return matchesFilters(cls, currentFilters);
+}
 
-    return allClasses.filter(className => filterCategory.match.test(className));
+/**
+ * Get class records with waitlists that match the current filter
+ */
+function getFilteredClasses() {
+    if (!classModel) return [];
+    return classModel.classes.filter(cls => cls.hasWaitlist && matchesCurrentFilter(cls));
 }
 
 async function loadData(bustCache = false) {
@@ -234,10 +898,12 @@ async function loadData(bustCache = false) {
     const summaryDiv = document.getElementById('summary');
     loadingDiv.style.display = 'block';
 
+    const previousUpdate = waitlistData?.last_updated;
+
     try {
-        const url = bustCache ? `${DATA_URL}?t=${Date.now()}` : DATA_URL;
-        const response = await fetchWithRetry(url);
-        waitlistData = await response.json();
+        const waitlistResult = await readDataSourceFile(dataSource, 'waitlist', bustCache);
+        waitlistData = waitlistResult.data;
+        usingCachedData = waitlistResult.fromCache;
 
         // Validate data structure
         if (!waitlistData || !waitlistData.waitlists) {
@@ -250,17 +916,39 @@ async function loadData(bustCache = false) {
             document.getElementById('lastUpdated').textContent = date.toLocaleString();
         }
 
-        // Populate class filter dropdown
+        // Load action data (classes needing attention)
+        await loadActionData(bustCache);
+        updateOfflineBanner();
+
+        // Join both files into one record per class
+        classModel = buildClassModel(waitlistData, actionData);
         populateClassFilter();
+        populateCampFilters();
+        displayActionNeeded();
 
-        // Load and display action data (classes needing attention)
-        await loadActionData(bustCache);
+        // Store this dataset and load earlier ones for position tracking
+        await loadHistory();
+
+        // After a refresh that brought new data, show what changed since the data on screen
+        const refreshed = bustCache && previousUpdate && previousUpdate !== waitlistData.last_updated;
+        if (refreshed) {
+            diffFromKey = previousUpdate;
+            diffToKey = '';
+        }
+        displayWhatChanged(refreshed);
+
+        // Alert about watched students and classes that changed since they were last seen
+        checkWatchList();
 
-        // Show summary
-        showSummary();
+        // Check both files for scraper problems
+        displayDataIssues([
+            ...validateWaitlistData(waitlistData),
+            ...validateActionData(actionData),
+            ...classModel.issues,
+        ]);
 
-        // Show all classes initially
-        displayResults(Object.keys(waitlistData.waitlists));
+        // Show summary and results for the current tab (keeps the search on refresh)
+        refreshCurrentView();
 
     } catch (error) {
         console.error('Error loading data:', error);
@@ -276,6 +964,9 @@ async function loadData(bustCache = false) {
         `;
     }
 
+    // Fetch again after the next scheduled scrape (sooner if an update is overdue or this failed)
+    scheduleAutoRefresh();
+
     loadingDiv.style.display = 'none';
 }
 
@@ -285,10 +976,10 @@ function showSummary() {
     const summaryDiv = document.getElementById('summary');
 
     if (currentTab === 'camps') {
-        // Show summary for camps with openings
-        const camps = waitlistData.camps_with_openings || [];
+        // Show summary for camps with openings (filtered)
+        const camps = getFilteredCamps().filter(camp => camp.status === 'open');
         const totalCamps = camps.length;
-        const totalSpots = camps.reduce((sum, camp) => sum + (camp.open_spots || 0), 0);
+        const totalSpots = camps.reduce((sum, camp) => sum + camp.openSpots, 0);
 
         summaryDiv.innerHTML = `
             <div class="summary-box available-summary">
@@ -306,14 +997,10 @@ function showSummary() {
         // Show summary for classes with openings (filtered)
         const openings = getFilteredOpenings();
         const totalClasses = openings.length;
-        const totalSpots = openings.reduce((sum, cls) => sum + (cls.open_spots || 0), 0);
+        const totalSpots = openings.reduce((sum, cls) => sum + cls.openSpots, 0);
 
         // Get friendly label for the current filter
-        let filterLabel = '';
-        if (currentFilter) {
-            const category = CLASS_CATEGORIES.find(cat => cat.key === currentFilter);
-            filterLabel = category ? ` (${category.label})` : ` (${currentFilter})`;
-        }
+        const filterLabel = hasActiveFilters(currentFilters) ? ` (${describeFilters(currentFilters)})` : '';
 
         summaryDiv.innerHTML = `
             <div class="summary-box available-summary">
@@ -327,21 +1014,84 @@ function showSummary() {
                 </div>
             </div>
         `;
-    } else {
-        // Show summary for waitlists
-        if (!waitlistData.waitlists) return;
+    } else if (currentTab === 'schedule') {
+        // Show summary for the weekly schedule (filtered)
+        const slots = getScheduleClasses();
+        const totalWaiting = slots.reduce((sum, cls) => sum + cls.waiting, 0);
+        const totalSpots = slots.reduce((sum, cls) => sum + cls.openSpots, 0);
 
-        // Get the friendly label for the current filter
-        let filterLabel = '';
-        if (currentFilter) {
-            const category = CLASS_CATEGORIES.find(cat => cat.key === currentFilter);
-            filterLabel = category ? ` (${category.label})` : ` (${currentFilter})`;
-        }
+        summaryDiv.innerHTML = `
+            <div class="summary-box">
+                <div class="stat">
+                    <span class="number">${slots.length}</span>
+                    <span class="label">Classes on schedule</span>
+                </div>
+                <div class="stat">
+                    <span class="number">${totalWaiting}</span>
+                    <span class="label">People waiting</span>
+                </div>
+                <div class="stat">
+                    <span class="number">${totalSpots}</span>
+                    <span class="label">Spots open</span>
+                </div>
+            </div>
+        `;
+    } else if (currentTab === 'insights') {
+        // Show overall demand for the classes in view
+        const classes = getInsightsClasses();
+        const totalWaiting = classes.reduce((sum, cls) => sum + cls.waiting, 0);
+        const totalSpots = classes.reduce((sum, cls) => sum + cls.openSpots, 0);
+
+        summaryDiv.innerHTML = `
+            <div class="summary-box">
+                <div class="stat">
+                    <span class="number">${classes.length}</span>
+                    <span class="label">Sections</span>
+                </div>
+                <div class="stat">
+                    <span class="number">${totalWaiting}</span>
+                    <span class="label">People waiting</span>
+                </div>
+                <div class="stat">
+                    <span class="number">${totalSpots > 0 ? (totalWaiting / totalSpots).toFixed(1) : '–'}</span>
+                    <span class="label">Waiting per open spot</span>
+                </div>
+            </div>
+        `;
+    } else if (currentTab === 'families') {
+        // Show summary for households with more than one child waiting
+        const households = getSiblingHouseholds();
+        const totalChildren = households.reduce((sum, h) => sum + h.children.length, 0);
+        const togetherCount = households
+            .filter(h => findSiblingSlots(h, getOpenSpotsByClass()).some(slot => slot.hasOpening))
+            .length;
+
+        summaryDiv.innerHTML = `
+            <div class="summary-box">
+                <div class="stat">
+                    <span class="number">${households.length}</span>
+                    <span class="label">Families with siblings waiting</span>
+                </div>
+                <div class="stat">
+                    <span class="number">${totalChildren}</span>
+                    <span class="label">Children</span>
+                </div>
+                <div class="stat">
+                    <span class="number">${togetherCount}</span>
+                    <span class="label">With openings to place together</span>
+                </div>
+            </div>
+        `;
+    } else {
+        // Show summary for waitlists
+        if (!waitlistData.waitlists) return;
+
+        // Get the friendly label for the current filter
+        const filterLabel = hasActiveFilters(currentFilters) ? ` (${describeFilters(currentFilters)})` : '';
 
         const filteredClasses = getFilteredClasses();
         const totalClasses = filteredClasses.length;
-        const totalWaiting = filteredClasses
-            .reduce((sum, className) => sum + (waitlistData.waitlists[className]?.length || 0), 0);
+        const totalWaiting = filteredClasses.reduce((sum, cls) => sum + cls.waiting, 0);
 
         summaryDiv.innerHTML = `
             <div class="summary-box">
@@ -360,30 +1110,16 @@ function showSummary() {
 
 /**
  * Check if a name matches the search query
- * Handles "Last, First" format and searches for all words
+ * Handles "Last, First" format in any word order, accents, odd spacing and small typos
  */
 function nameMatchesQuery(name, query) {
-    const nameLower = name.toLowerCase();
-
-    // Split query into individual words
-    const queryWords = query.split(/\s+/).filter(word => word.length > 0);
-
-    if (queryWords.length === 0) return false;
-
-    // For single word queries, just check if the name contains it
-    if (queryWords.length === 1) {
-        return nameLower.includes(queryWords[0]);
-    }
-
-    // For multi-word queries, check if ALL words are found in the name
-    // This handles both "reagan johnson" and "johnson reagan" matching "Johnson, Reagan"
-    return queryWords.every(word => nameLower.includes(word));
+    return matchStudentName(name, query) !== null;
 }
 
 function performSearch() {
     const query = document.getElementById('searchInput').value.trim().toLowerCase();
 
-    if (!waitlistData || !waitlistData.waitlists) {
+    if (!classModel) {
         document.getElementById('results').innerHTML = '<p class="error">Data not loaded. Please refresh the page.</p>';
         return;
     }
@@ -391,45 +1127,58 @@ function performSearch() {
     // Update summary based on filter
     showSummary();
 
+    // Families tab searches households instead of individual rows
+    if (currentTab === 'families') {
+        displayFamilies(query);
+        const familyCount = document.querySelectorAll('#results .family-card').length;
+        announce('resultsStatus', `${familyCount} ${familyCount === 1 ? 'family' : 'families'}${query ? ` matching "${query}"` : ''}`);
+        return;
+    }
+
     // Get filtered classes
     const filteredClasses = getFilteredClasses();
+    const filterLabel = describeFilters(currentFilters);
 
     if (query === '') {
         // Show filtered classes when search is empty
         displayResults(filteredClasses);
+        announce('resultsStatus', `${filteredClasses.length} class${filteredClasses.length === 1 ? '' : 'es'} with waitlists${filterLabel ? `, filtered by ${filterLabel}` : ''}`);
         return;
     }
 
     // Search for student names within filtered waitlists
     const matchingStudents = [];
 
-    for (const className of filteredClasses) {
-        const entries = waitlistData.waitlists[className] || [];
-        for (const entry of entries) {
-            if (entry.name && nameMatchesQuery(entry.name, query)) {
+    for (const cls of filteredClasses) {
+        for (const entry of cls.waitlist) {
+            const match = entry.name ? matchStudentName(entry.name, query) : null;
+            if (match) {
                 matchingStudents.push({
-                    className: className,
+                    className: cls.name,
                     position: entry.position,
-                    name: entry.name
+                    name: entry.name,
+                    score: match.score,
+                    ranges: match.ranges
                 });
             }
         }
     }
 
     displayStudentResults(matchingStudents, query);
+    announce('resultsStatus', `${matchingStudents.length} waitlist ${matchingStudents.length === 1 ? 'entry' : 'entries'} matching "${query}"${filterLabel ? `, filtered by ${filterLabel}` : ''}`);
 }
 
-function displayResults(classNames) {
+function displayResults(classes) {
     const resultsDiv = document.getElementById('results');
     const noResultsDiv = document.getElementById('noResults');
     const expandHint = document.getElementById('expandHint');
 
-    if (classNames.length === 0) {
+    if (classes.length === 0) {
         resultsDiv.innerHTML = '';
         noResultsDiv.style.display = 'block';
         if (expandHint) expandHint.style.display = 'none';
-        noResultsDiv.querySelector('p').textContent = currentFilter
-            ? `No classes found for "${currentFilter}".`
+        noResultsDiv.querySelector('p').textContent = hasActiveFilters(currentFilters)
+            ? `No classes match your filters (${describeFilters(currentFilters)}).`
             : 'No classes found.';
         return;
     }
@@ -438,16 +1187,13 @@ function displayResults(classNames) {
     if (expandHint) expandHint.style.display = 'block';
 
     // Sort by waitlist size (largest first)
-    classNames.sort((a, b) => {
-        const aCount = waitlistData.waitlists[a]?.length || 0;
-        const bCount = waitlistData.waitlists[b]?.length || 0;
-        return bCount - aCount;
-    });
+    const sorted = [...classes].sort((a, b) => b.waiting - a.waiting);
 
     let html = '';
-    for (const className of classNames) {
-        const entries = waitlistData.waitlists[className] || [];
-        const waitingCount = entries.length;
+    sorted.forEach(cls => {
+        const className = cls.name;
+        const entries = cls.waitlist;
+        const waitingCount = cls.waiting;
 
         // Color based on waitlist size
         let statusClass = 'status-low';
@@ -464,33 +1210,62 @@ function displayResults(classNames) {
                 <li>
                     <span class="position">${entry.position}</span>
                     <span class="student-name">${escapeHtml(entry.name)}</span>
+                    ${renderEstimate(className, entry.position)}
                 </li>
             `;
         }
         detailsHtml += '</ul>';
+        detailsHtml += renderAlternatives(findAlternativeSections(classModel, cls), 'Could offer these alternatives');
 
+        const expanded = expandedClasses.has(className);
+        // Ids follow the class, not its position, so they stay right when cards are re-sorted
+        const detailsId = `waitlist-details-${slugifyClassName(className)}`;
         html += `
-            <div class="result-card expandable ${statusClass}" data-class="${escapeHtml(className)}">
-                <div class="class-name">${escapeHtml(className)}</div>
+            <div class="result-card expandable ${statusClass}${expanded ? ' expanded' : ''}" data-class="${escapeHtml(className)}" data-key="${escapeHtml(className)}">
+                ${renderWatchButton(className)}
+                <div class="class-name" role="button" tabindex="0" aria-expanded="${expanded}" aria-controls="${detailsId}"
+                    data-focus-key="card:${escapeHtml(className)}">${escapeHtml(className)}</div>
                 <div class="waitlist-info">
                     <span class="count">${waitingCount}</span>
                     <span class="label">people waiting</span>
                 </div>
-                <div class="waitlist-details">
+                <div class="waitlist-details" id="${detailsId}"${expanded ? '' : ' aria-hidden="true"'}>
                     ${detailsHtml}
                 </div>
             </div>
         `;
-    }
+    });
 
-    resultsDiv.innerHTML = html;
+    patchHtml(resultsDiv, html, 'waitlists');
+}
 
-    // Add click handlers for expandable cards
-    document.querySelectorAll('.result-card.expandable').forEach(card => {
-        card.addEventListener('click', () => {
-            card.classList.toggle('expanded');
-        });
-    });
+/**
+ * Turn a class name into an id-safe slug ("INTERMEDIATE / T 6:30" -> "intermediate-t-6-30")
+ */
+function slugifyClassName(name) {
+    return normalizeClassKey(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Expand or collapse a waitlist card (delegated from the results container)
+ */
+function handleCardClick(e) {
+    const card = e.target.closest('.result-card.expandable');
+    if (!card || e.target.closest('.watch-btn')) return;
+
+    const expanded = card.classList.toggle('expanded');
+    card.querySelector('.class-name').setAttribute('aria-expanded', expanded ? 'true' : 'false');
+    card.querySelector('.waitlist-details').toggleAttribute('aria-hidden', !expanded);
+
+    // The URL remembers the last card opened so it can be shared
+    if (expanded) {
+        expandedClasses.add(card.dataset.class);
+        openClassName = card.dataset.class;
+    } else {
+        expandedClasses.delete(card.dataset.class);
+        if (openClassName === card.dataset.class) openClassName = '';
+    }
+    saveRoute(getCurrentRoute());
 }
 
 function displayStudentResults(students, query) {
@@ -504,16 +1279,16 @@ function displayStudentResults(students, query) {
     if (students.length === 0) {
         resultsDiv.innerHTML = '';
         noResultsDiv.style.display = 'block';
-        noResultsDiv.querySelector('p').textContent = currentFilter
-            ? `No students found matching "${query}" in ${currentFilter} classes.`
+        noResultsDiv.querySelector('p').textContent = hasActiveFilters(currentFilters)
+            ? `No students found matching "${query}" in classes matching your filters (${describeFilters(currentFilters)}).`
             : `No students found matching "${query}".`;
         return;
     }
 
     noResultsDiv.style.display = 'none';
 
-    // Sort by position (lowest first)
-    students.sort((a, b) => a.position - b.position);
+    // Best matches first, then by position (lowest first)
+    students.sort((a, b) => (b.score || 0) - (a.score || 0) || a.position - b.position);
 
     let html = '';
     for (const student of students) {
@@ -526,43 +1301,412 @@ function displayStudentResults(students, query) {
         }
 
         html += `
-            <div class="result-card ${statusClass}">
-                <div class="class-name">${escapeHtml(student.name)}</div>
+            <div class="result-card ${statusClass}" data-key="${escapeHtml(`${student.className}|${student.name}`)}">
+                ${renderWatchButton(student.className, student.name)}
+                <div class="class-name">${highlightMatch(student.name, student.ranges)}</div>
                 <div class="waitlist-info">
                     <span class="count">#${student.position}</span>
                     <span class="label">on waitlist</span>
                 </div>
+                ${renderPositionHistory(student)}
+                ${renderEstimate(student.className, student.position, true)}
                 <div class="class-detail">${escapeHtml(student.className)}</div>
+                ${renderAlternatives(findStudentAlternatives(classModel, student.className, student.name), 'Open alternatives')}
             </div>
         `;
     }
 
-    resultsDiv.innerHTML = html;
+    patchHtml(resultsDiv, html, 'students');
 }
 
-function escapeHtml(text) {
-    const div = document.createElement('div');
-    div.textContent = text;
-    return div.innerHTML;
+/**
+ * Render the star button that watches a student (when `name` is given) or a class
+ */
+function renderWatchButton(className, name = null) {
+    const watched = name ? isStudentWatched(watchList, className, name) : isClassWatched(watchList, className);
+    const label = `${watched ? 'Stop watching' : 'Watch'} ${name || className}`;
+    return `
+        <button type="button" class="watch-btn${watched ? ' watched' : ''}" aria-pressed="${watched}"
+            aria-label="${escapeHtml(label)}" title="${escapeHtml(label)}"
+            data-class="${escapeHtml(className)}"${name ? ` data-student="${escapeHtml(name)}"` : ''}
+            data-focus-key="watch:${escapeHtml(className)}|${escapeHtml(name || '')}">${watched ? '★' : '☆'}</button>
+    `;
 }
 
 /**
- * Get filtered openings based on current class filter
+ * Toggle watching from a star button on a result card
  */
-function getFilteredOpenings() {
-    const openings = waitlistData?.classes_with_openings || [];
+function handleWatchClick(e) {
+    const button = e.target.closest('.watch-btn');
+    if (!button) return;
+
+    const { class: className, student } = button.dataset;
+    watchList = student
+        ? toggleWatchedStudent(watchList, classModel, className, student)
+        : toggleWatchedClass(watchList, classModel, className);
+
+    const watched = student ? isStudentWatched(watchList, className, student) : isClassWatched(watchList, className);
+    const focusKey = button.dataset.focusKey;
+    button.outerHTML = renderWatchButton(className, student || null);
+    restoreFocus(document.getElementById('results'), focusKey);
+
+    // Ask while the click still counts as a user gesture
+    if (watched && 'Notification' in window && Notification.permission === 'default') {
+        Notification.requestPermission();
+    }
+}
+
+/**
+ * Compare watched students and classes with the current data and raise alerts for changes
+ */
+function checkWatchList() {
+    if (isWatchListEmpty(watchList) || !classModel) return;
+
+    const result = findWatchAlerts(watchList, classModel);
+    watchList = result.watchList;
+    saveWatchList(watchList);
+    result.alerts.forEach(showWatchAlert);
+}
+
+/**
+ * Show an alert as a system notification when the page is in the background, otherwise as a toast
+ */
+function showWatchAlert(alert) {
+    if (document.hidden && 'Notification' in window && Notification.permission === 'granted') {
+        new Notification(alert.title, { body: alert.body, tag: alert.tag, icon: 'logo.png' });
+        return;
+    }
+    showToast(alert.title, alert.body);
+}
+
+/**
+ * Show a dismissable message in the corner of the page
+ */
+function showToast(title, body, duration = 15000) {
+    const container = document.getElementById('toasts');
+    const toast = document.createElement('div');
+    toast.className = 'toast';
+    toast.innerHTML = `
+        <button type="button" class="toast-close" aria-label="Dismiss">&times;</button>
+        <div class="toast-title">${escapeHtml(title)}</div>
+        <div class="toast-body">${escapeHtml(body)}</div>
+    `;
+    const dismiss = () => toast.remove();
+    toast.querySelector('.toast-close').addEventListener('click', dismiss);
+    container.appendChild(toast);
+    setTimeout(dismiss, duration);
+}
+
+/**
+ * Background check for new data while anything is watched.
+ * Only reloads (and re-renders) when last_updated has changed.
+ */
+async function checkForWatchedUpdates() {
+    if (isWatchListEmpty(watchList) || !waitlistData || dataSource.type === 'file') return;
+
+    try {
+        const { data, fromCache } = await readDataSourceFile(dataSource, 'waitlist', true, 1);
+        watchCheckFailing = false;
+        if (!fromCache && data?.last_updated && data.last_updated !== waitlistData.last_updated) {
+            await loadData(true);
+        }
+    } catch (error) {
+        // Say so once, not every interval, until a check works again
+        if (!watchCheckFailing) {
+            showToast('Could not check for new data', `Watched students and classes will be checked again in ${CONFIG.watchInterval / 60000} minutes (${error.message}).`);
+        }
+        watchCheckFailing = true;
+    }
+}
+
+/**
+ * Save the current dataset as a snapshot and reload the stored history
+ */
+async function loadHistory() {
+    useHistoryNamespace(dataSource.id);
+    try {
+        await saveSnapshot(waitlistData, actionData, CONFIG.historySize);
+        snapshotHistory = await getSnapshots();
+    } catch (error) {
+        // History is optional (e.g. private browsing without IndexedDB), but say what's missing once
+        if (!historyUnavailable) {
+            showToast('Position history unavailable', `This browser couldn't store earlier updates (${error.message}), so position changes and time-to-offer estimates aren't shown.`);
+        }
+        historyUnavailable = true;
+        snapshotHistory = [];
+    }
+    projectionModel = buildProjectionModel(snapshotHistory, waitlistData, classModel);
+    populateHistoryCompare();
+}
+
+/**
+ * Get stored snapshots older than the data currently shown, newest first
+ */
+function getEarlierSnapshots() {
+    const current = waitlistData?.last_updated || '';
+    return snapshotHistory
+        .filter(snap => snap.lastUpdated < current)
+        .reverse();
+}
+
+/**
+ * Get the snapshot from the update just before the current data
+ */
+function getPreviousSnapshot() {
+    return getEarlierSnapshots()[0] || null;
+}
+
+/**
+ * Format a snapshot's last_updated as a short date ("Mar 1")
+ */
+function formatSnapshotDate(lastUpdated) {
+    return new Date(lastUpdated).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+}
+
+/**
+ * Populate the "compare positions to" dropdown with earlier snapshots
+ */
+function populateHistoryCompare() {
+    const select = document.getElementById('historyCompare');
+    const earlier = getEarlierSnapshots();
+
+    // Drop the selection if that snapshot was pruned
+    if (!earlier.some(snap => snap.lastUpdated === compareSnapshotKey)) {
+        compareSnapshotKey = '';
+    }
 
-    if (!currentFilter) {
-        return openings;
+    select.innerHTML = '<option value="">Last update only</option>';
+    for (const snap of earlier) {
+        const option = document.createElement('option');
+        option.value = snap.lastUpdated;
+        option.textContent = new Date(snap.lastUpdated).toLocaleString();
+        select.appendChild(option);
+    }
+    select.value = compareSnapshotKey;
+
+    updateHistoryCompareVisibility();
+}
+
+/**
+ * Only show the comparison dropdown on the waitlists tab once there is history to compare
+ */
+function updateHistoryCompareVisibility() {
+    const container = document.getElementById('historyCompareContainer');
+    const hasHistory = getEarlierSnapshots().length > 0;
+    container.style.display = currentTab === 'waitlists' && hasHistory ? 'flex' : 'none';
+}
+
+/**
+ * Resolve the two snapshots the "What changed" panel compares.
+ * Defaults to the current data against the update before it.
+ */
+function getDiffSnapshots() {
+    const current = waitlistData?.last_updated || '';
+    const to = snapshotHistory.find(snap => snap.lastUpdated === (diffToKey || current))
+        || snapshotHistory[snapshotHistory.length - 1];
+    if (!to) return null;
+
+    const from = snapshotHistory.find(snap => snap.lastUpdated === diffFromKey)
+        || [...snapshotHistory].reverse().find(snap => snap.lastUpdated < to.lastUpdated);
+    return from ? { from, to } : null;
+}
+
+/**
+ * Render a <select> of stored snapshots for the "What changed" panel
+ */
+function renderSnapshotSelect(id, label, selectedKey) {
+    const options = [...snapshotHistory].reverse().map(snap => `
+        <option value="${escapeHtml(snap.lastUpdated)}"${snap.lastUpdated === selectedKey ? ' selected' : ''}>
+            ${escapeHtml(new Date(snap.lastUpdated).toLocaleString())}${snap.lastUpdated === waitlistData?.last_updated ? ' (current)' : ''}
+        </option>
+    `).join('');
+    return `<label for="${id}">${label}</label> <select id="${id}">${options}</select>`;
+}
+
+/**
+ * Display the "What changed" panel comparing two updates.
+ * Opens it when `open` is true (after a refresh brought new data).
+ */
+function displayWhatChanged(open = false) {
+    const panel = document.getElementById('whatChanged');
+    const pair = getDiffSnapshots();
+
+    if (!pair) {
+        panel.style.display = 'none';
+        panel.innerHTML = '';
+        return;
+    }
+
+    const { from, to } = pair;
+    const diff = diffSnapshots(from, to);
+
+    let html = `
+        <summary>
+            What changed
+            <span class="diff-range">${escapeHtml(formatSnapshotDate(from.lastUpdated))} → ${escapeHtml(formatSnapshotDate(to.lastUpdated))}</span>
+            <span class="diff-count">${diff.changeCount} change${diff.changeCount !== 1 ? 's' : ''}</span>
+        </summary>
+        <div class="what-changed-body">
+            <div class="diff-controls">
+                ${renderSnapshotSelect('diffFrom', 'From', from.lastUpdated)}
+                ${renderSnapshotSelect('diffTo', 'To', to.lastUpdated)}
+            </div>
+    `;
+
+    if (from.lastUpdated === to.lastUpdated) {
+        html += '<p class="diff-empty">Pick two different updates to compare.</p>';
+    } else if (diff.changeCount === 0) {
+        html += '<p class="diff-empty">No changes between these updates.</p>';
+    }
+
+    const spotsText = n => `${n} open`;
+    if (diff.openingsGained.length || diff.openingsLost.length) {
+        html += `
+            <div class="diff-section">
+                <h4>Openings</h4>
+                <ul>
+                    ${diff.openingsGained.map(cls => `
+                        <li class="diff-added">
+                            ${escapeHtml(cls.name)}: ${spotsText(cls.before)} → ${spotsText(cls.after)}
+                            ${cls.waiting > 0 ? `<span class="diff-note">${cls.waiting} waiting</span>` : ''}
+                        </li>
+                    `).join('')}
+                    ${diff.openingsLost.map(cls => `
+                        <li class="diff-removed">${escapeHtml(cls.name)}: ${spotsText(cls.before)} → ${spotsText(cls.after)}</li>
+                    `).join('')}
+                </ul>
+            </div>
+        `;
+    }
+
+    const { nowWaitlisted, nowOpen } = diff.camps;
+    if (nowWaitlisted.length || nowOpen.length) {
+        html += `
+            <div class="diff-section">
+                <h4>Camps</h4>
+                <ul>
+                    ${nowOpen.map(name => `
+                        <li class="diff-added">${escapeHtml(name)} <span class="diff-note">now has openings</span></li>
+                    `).join('')}
+                    ${nowWaitlisted.map(name => `
+                        <li class="diff-removed">${escapeHtml(name)} <span class="diff-note">now full, waitlist only</span></li>
+                    `).join('')}
+                </ul>
+            </div>
+        `;
+    }
+
+    if (diff.classes.length) {
+        html += `
+            <div class="diff-section">
+                <h4>Waitlists</h4>
+                ${diff.classes.map(cls => `
+                    <div class="diff-class">
+                        <div class="diff-class-name">${escapeHtml(cls.name)}</div>
+                        <ul>
+                            ${cls.removed.map(s => `<li class="diff-removed">${escapeHtml(s.name)} <span class="diff-note">left the list (was #${s.position})</span></li>`).join('')}
+                            ${cls.added.map(s => `<li class="diff-added">${escapeHtml(s.name)} <span class="diff-note">joined at #${s.position}</span></li>`).join('')}
+                            ${cls.moved.map(s => `<li class="diff-moved">${escapeHtml(s.name)} <span class="diff-note">#${s.from} → #${s.to}</span></li>`).join('')}
+                        </ul>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+    html += '</div>';
+
+    // Keep the panel open/closed across re-renders unless a refresh opens it
+    const wasOpen = panel.open;
+    panel.innerHTML = html;
+    panel.open = open || wasOpen;
+    panel.style.display = 'block';
+}
+
+/**
+ * Render one position change badge, e.g. "↑2 since Mar 1"
+ */
+function renderPositionChange(change, sinceLabel) {
+    if (!change) return '';
+
+    let text;
+    if (change.status === 'up') {
+        text = `↑${change.moved}`;
+    } else if (change.status === 'down') {
+        text = `↓${-change.moved}`;
+    } else if (change.status === 'new') {
+        text = 'New';
+    } else {
+        text = 'No change';
     }
+    return `<span class="position-change ${change.status}">${text} ${escapeHtml(sinceLabel)}</span>`;
+}
 
-    // Find the category for the current filter
-    const filterCategory = CLASS_CATEGORIES.find(cat => cat.key === currentFilter);
-    if (!filterCategory) {
-        return openings;
+/**
+ * Render HTML for a student's movement since the last update and since the chosen snapshot
+ */
+function renderPositionHistory(student) {
+    const previous = getPreviousSnapshot();
+    if (!previous) return '';
+
+    let html = renderPositionChange(
+        getPositionChange(previous, student.className, student.name, student.position),
+        'since last update'
+    );
+
+    if (compareSnapshotKey && compareSnapshotKey !== previous.lastUpdated) {
+        const compare = snapshotHistory.find(snap => snap.lastUpdated === compareSnapshotKey);
+        html += renderPositionChange(
+            getPositionChange(compare, student.className, student.name, student.position),
+            `since ${formatSnapshotDate(compareSnapshotKey)}`
+        );
     }
 
-    return openings.filter(cls => filterCategory.match.test(cls.name));
+    return `<div class="position-history">${html}</div>`;
+}
+
+/**
+ * Render suggested open sections in the same category (see class-matcher.js)
+ */
+function renderAlternatives(alternatives, heading) {
+    if (alternatives.length === 0) return '';
+
+    const items = alternatives.map(({ record, spareSpots }) => `
+        <li class="alternative">
+            <span class="alternative-name">${escapeHtml(record.name)}</span>
+            <span class="alternative-spots">${spareSpots} open</span>
+        </li>
+    `).join('');
+    return `
+        <div class="alternatives">
+            <div class="alternatives-heading">${escapeHtml(heading)}:</div>
+            <ul>${items}</ul>
+        </div>
+    `;
+}
+
+/**
+ * Render the estimated time until a spot is offered, with its basis as a tooltip
+ */
+function renderEstimate(className, position, showLabel = false) {
+    const estimate = estimateTimeToOffer(projectionModel, className, position);
+    if (!estimate) return '';
+
+    const label = showLabel && !estimate.now ? 'Est. wait: ' : '';
+    return `<span class="estimate${estimate.now ? ' now' : ''}" title="${escapeHtml(describeEstimateBasis(estimate))}">${label}${escapeHtml(formatEstimate(estimate))}</span>`;
+}
+
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
+/**
+ * Get class records listed in classes_with_openings that match the current filters
+ */
+function getFilteredOpenings() {
+    if (!classModel) return [];
+    return classModel.classes.filter(cls => cls.reported.openings && matchesCurrentFilter(cls));
 }
 
 /**
@@ -578,13 +1722,6 @@ function displayOpenings() {
 
     const openings = getFilteredOpenings();
 
-    // Get friendly label for no results message
-    let filterLabel = '';
-    if (currentFilter) {
-        const category = CLASS_CATEGORIES.find(cat => cat.key === currentFilter);
-        filterLabel = category ? category.label : currentFilter;
-    }
-
     // Split into current month and next month
     const currentMonth = openings.filter(c => !c.month || c.month === 'current');
     const nextMonth = openings.filter(c => c.month && c.month !== 'current');
@@ -593,29 +1730,17 @@ function displayOpenings() {
     const nextMonthLabel = nextMonth.length > 0 ? nextMonth[0].month : '';
     const nextMonthStartDate = waitlistData?.next_month_start_date || '';
 
-    // Get hidden openings from actionData (classes that look full but have spots due to makeups)
-    const hiddenOpenings = (actionData?.immediate_action || [])
-        .filter(cls => cls.has_hidden_opening === true)
-        .filter(cls => {
-            // Only include if not already shown in normal openings
-            const allNames = openings.map(c => c.name);
-            return !allNames.includes(cls.name);
-        });
-
-    // Apply class filter to hidden openings too
-    const filteredHidden = currentFilter
-        ? hiddenOpenings.filter(cls => {
-            const filterCategory = CLASS_CATEGORIES.find(cat => cat.key === currentFilter);
-            return filterCategory ? filterCategory.match.test(cls.name) : true;
-        })
-        : hiddenOpenings;
+    // Hidden openings (classes that look full but have spots due to makeups),
+    // only if not already shown in normal openings
+    const filteredHidden = (classModel?.classes || [])
+        .filter(cls => cls.hasHiddenOpening && !cls.reported.openings && matchesCurrentFilter(cls));
 
     // Check if there's anything to display
     if (openings.length === 0 && filteredHidden.length === 0) {
         resultsDiv.innerHTML = '';
         noResultsDiv.style.display = 'block';
-        noResultsDiv.querySelector('p').textContent = currentFilter
-            ? `No ${filterLabel} classes with openings found.`
+        noResultsDiv.querySelector('p').textContent = hasActiveFilters(currentFilters)
+            ? `No classes with openings match your filters (${describeFilters(currentFilters)}).`
             : 'No classes with openings found.';
         return;
     }
@@ -626,10 +1751,10 @@ function displayOpenings() {
 
     // Render a section of openings cards
     function renderOpeningsCards(classes, isHidden = false) {
-        const sorted = [...classes].sort((a, b) => (b.open_spots || b.real_openings || 0) - (a.open_spots || a.real_openings || 0));
+        const sorted = [...classes].sort((a, b) => b.openSpots - a.openSpots);
         let cardsHtml = '';
         for (const cls of sorted) {
-            const spots = cls.open_spots || cls.real_openings || 0;
+            const spots = cls.openSpots;
             let statusClass = 'status-available';
             if (spots >= 5) {
                 statusClass = 'status-available-high';
@@ -640,7 +1765,7 @@ function displayOpenings() {
             const makeupTag = isHidden ? ' <span class="makeup-tag">(makeup)</span>' : '';
 
             cardsHtml += `
-                <div class="result-card ${statusClass}">
+                <div class="result-card ${statusClass}" data-key="${escapeHtml(cls.name)}">
                     <div class="class-name">${escapeHtml(cls.name)}${makeupTag}</div>
                     <div class="waitlist-info">
                         <span class="count">${spots}</span>
@@ -676,11 +1801,84 @@ function displayOpenings() {
         html += renderOpeningsCards(filteredHidden, true);
     }
 
-    resultsDiv.innerHTML = html;
+    patchHtml(resultsDiv, html, 'openings');
+}
+
+/**
+ * Get camp records from the current data, dated relative to when it was scraped
+ */
+function getCampRecords() {
+    if (!waitlistData) return [];
+    const referenceDate = waitlistData.last_updated ? new Date(waitlistData.last_updated) : new Date();
+    return buildCampRecords(waitlistData, referenceDate);
+}
+
+/**
+ * Get camp records matching the camp filters
+ */
+function getFilteredCamps() {
+    return filterCamps(getCampRecords(), campFilters);
+}
+
+/**
+ * Fill the camp week and price filters from the current data, keeping the selections that still exist
+ */
+function populateCampFilters() {
+    const camps = getCampRecords();
+
+    const weekSelect = document.getElementById('campWeekFilter');
+    const weeks = groupCampsByWeek(camps);
+    weekSelect.innerHTML = '<option value="">All weeks</option>' + weeks
+        .map(week => `<option value="${week.weekKey}">${escapeHtml(week.label)}</option>`)
+        .join('');
+    if (!weeks.some(week => week.weekKey === campFilters.week)) campFilters.week = '';
+    weekSelect.value = campFilters.week;
+
+    const priceSelect = document.getElementById('campPriceFilter');
+    const prices = [...new Set(camps.map(camp => camp.price).filter(price => price !== null))].sort((a, b) => a - b);
+    priceSelect.innerHTML = '<option value="">Any price</option>' + prices
+        .map(price => `<option value="${price}">Up to $${price}</option>`)
+        .join('');
+    if (!prices.includes(Number(campFilters.maxPrice))) campFilters.maxPrice = '';
+    priceSelect.value = campFilters.maxPrice;
+
+    document.getElementById('campSessionFilter').value = campFilters.session;
+    document.getElementById('campViewSelect').value = campView;
+}
+
+/**
+ * Render the .ics download button for a dated camp
+ */
+function renderCampIcsButton(camp) {
+    if (!camp.weekKey) return '';
+    return `<button type="button" class="ics-btn" data-camp="${escapeHtml(camp.name)}" data-status="${camp.status}" title="Add to calendar (.ics)">📅 .ics</button>`;
+}
+
+/**
+ * Download the .ics file for a camp card's button
+ */
+function handleCampIcsClick(e) {
+    const button = e.target.closest('.ics-btn');
+    if (!button) return;
+
+    const camp = getCampRecords().find(c => c.name === button.dataset.camp && c.status === button.dataset.status);
+    if (!camp) return;
+
+    const filename = `${`${camp.weekKey} ${camp.theme} ${camp.sessionLabel}`.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/-$/, '')}.ics`;
+    downloadFile(filename, buildCampIcs(camp), 'text/calendar');
+}
+
+/**
+ * Describe a camp's status for the camp cards ("4 open", "Full · 3 waiting")
+ */
+function describeCampStatus(camp) {
+    if (camp.status === 'full') return `Full · ${camp.waiting} waiting`;
+    const open = `${camp.openSpots} open`;
+    return camp.waiting > 0 ? `${open} · ${camp.waiting} waiting` : open;
 }
 
 /**
- * Display camps with openings
+ * Display camps: as a list grouped by status, or as a week-by-week calendar
  */
 function displayCamps() {
     const resultsDiv = document.getElementById('results');
@@ -690,22 +1888,32 @@ function displayCamps() {
     // Hide expand hint for camps view
     if (expandHint) expandHint.style.display = 'none';
 
-    const camps = waitlistData?.camps_with_openings || [];
-    const campsWithWaitlist = waitlistData?.camps_with_waitlist || [];
-
-    // Separate priority camps (openings + waitlist)
-    const priorityCamps = camps.filter(c => c.priority === true || c.waitlist > 0);
-    const regularCamps = camps.filter(c => !c.priority && (!c.waitlist || c.waitlist === 0));
+    const allCamps = getCampRecords();
+    const filteredCamps = filterCamps(allCamps, campFilters);
 
-    if (camps.length === 0 && campsWithWaitlist.length === 0) {
+    if (filteredCamps.length === 0) {
         resultsDiv.innerHTML = '';
         noResultsDiv.style.display = 'block';
-        noResultsDiv.querySelector('p').textContent = 'No camps with openings found.';
+        noResultsDiv.querySelector('p').textContent = allCamps.length === 0
+            ? 'No camps with openings found.'
+            : 'No camps match these filters.';
         return;
     }
 
     noResultsDiv.style.display = 'none';
 
+    if (campView === 'calendar') {
+        displayCampCalendar(filteredCamps);
+        return;
+    }
+
+    const camps = filteredCamps.filter(c => c.status === 'open');
+    const campsWithWaitlist = filteredCamps.filter(c => c.status === 'full');
+
+    // Separate priority camps (openings + waitlist)
+    const priorityCamps = camps.filter(c => c.priority);
+    const regularCamps = camps.filter(c => !c.priority);
+
     let html = '';
 
     // PRIORITY SECTION: Camps with openings + waitlist
@@ -721,12 +1929,13 @@ function displayCamps() {
 
         for (const camp of priorityCamps) {
             html += `
-                <div class="result-card action-needed-card">
+                <div class="result-card action-needed-card" data-key="${escapeHtml(`${camp.status}|${camp.name}`)}">
+                    ${renderCampIcsButton(camp)}
                     <div class="class-name">${escapeHtml(camp.name)}</div>
                     <div class="action-stats">
-                        <span class="openings">${camp.open_spots} opening${camp.open_spots > 1 ? 's' : ''}</span>
+                        <span class="openings">${camp.openSpots} opening${camp.openSpots > 1 ? 's' : ''}</span>
                         <span class="separator">|</span>
-                        <span class="waiting">${camp.waitlist} waiting</span>
+                        <span class="waiting">${camp.waiting} waiting</span>
                     </div>
                 </div>
             `;
@@ -743,10 +1952,11 @@ function displayCamps() {
 
         for (const camp of campsWithWaitlist) {
             html += `
-                <div class="result-card status-waitlist">
+                <div class="result-card status-waitlist" data-key="${escapeHtml(`${camp.status}|${camp.name}`)}">
+                    ${renderCampIcsButton(camp)}
                     <div class="class-name">${escapeHtml(camp.name)}</div>
                     <div class="waitlist-info">
-                        <span class="count">${camp.waitlist}</span>
+                        <span class="count">${camp.waiting}</span>
                         <span class="label">waiting</span>
                     </div>
                 </div>
@@ -762,22 +1972,23 @@ function displayCamps() {
         }
 
         // Sort by number of openings (most first)
-        const sortedCamps = [...regularCamps].sort((a, b) => b.open_spots - a.open_spots);
+        const sortedCamps = [...regularCamps].sort((a, b) => b.openSpots - a.openSpots);
 
         for (const camp of sortedCamps) {
             // Color based on number of openings
             let statusClass = 'status-available';
-            if (camp.open_spots >= 5) {
+            if (camp.openSpots >= 5) {
                 statusClass = 'status-available-high';
-            } else if (camp.open_spots >= 3) {
+            } else if (camp.openSpots >= 3) {
                 statusClass = 'status-available-medium';
             }
 
             html += `
-                <div class="result-card ${statusClass}">
+                <div class="result-card ${statusClass}" data-key="${escapeHtml(`${camp.status}|${camp.name}`)}">
+                    ${renderCampIcsButton(camp)}
                     <div class="class-name">${escapeHtml(camp.name)}</div>
                     <div class="waitlist-info">
-                        <span class="count">${camp.open_spots}</span>
+                        <span class="count">${camp.openSpots}</span>
                         <span class="label">spots open</span>
                     </div>
                 </div>
@@ -785,35 +1996,680 @@ function displayCamps() {
         }
     }
 
-    resultsDiv.innerHTML = html;
+    patchHtml(resultsDiv, html, 'camps');
 }
 
 /**
- * Load action data from class_action.json (generated by class checker)
+ * Display camps as a calendar: one block per week, with each theme's half- and full-day
+ * variants side by side. Events without dates are listed after the weeks.
  */
-async function loadActionData(bustCache = false) {
-    try {
-        const url = bustCache ? `${ACTION_DATA_URL}?t=${Date.now()}` : ACTION_DATA_URL;
-        const response = await fetch(url);
-        if (response.ok) {
-            actionData = await response.json();
-            displayActionNeeded();
-        } else {
-            console.log('No action data available yet');
-            actionData = null;
-        }
-    } catch (error) {
-        console.log('Could not load action data:', error.message);
-        actionData = null;
-    }
-}
+function displayCampCalendar(camps) {
+    const weeks = groupCampsByWeek(camps);
+    const undated = camps.filter(camp => !camp.weekKey);
+
+    const renderVariant = camp => `
+        <li class="camp-variant ${camp.status === 'full' ? 'full' : 'open'}" data-key="${escapeHtml(`${camp.status}|${camp.name}`)}">
+            <span class="camp-session">${escapeHtml(camp.sessionLabel || 'Camp')}</span>
+            <span class="camp-hours">${escapeHtml(camp.timeLabel)}</span>
+            <span class="camp-price">${camp.price !== null ? `$${camp.price}` : ''}</span>
+            <span class="camp-status">${escapeHtml(describeCampStatus(camp))}</span>
+            ${renderCampIcsButton(camp)}
+        </li>
+    `;
+
+    let html = weeks.map(week => `
+        <section class="camp-week" data-key="${week.weekKey}">
+            <h3 class="camp-week-label">${escapeHtml(week.label)}</h3>
+            ${week.themes.map(theme => `
+                <div class="camp-theme" data-key="${escapeHtml(`${theme.theme}|${theme.dateLabel}`)}">
+                    <div class="camp-theme-header">
+                        <span class="camp-theme-name">${escapeHtml(theme.theme)}</span>
+                        <span class="camp-theme-dates">${escapeHtml(theme.dateLabel)}</span>
+                    </div>
+                    <ul class="camp-variants">${theme.variants.map(renderVariant).join('')}</ul>
+                </div>
+            `).join('')}
+        </section>
+    `).join('');
+
+    if (undated.length > 0) {
+        html += `
+            <section class="camp-week" data-key="other">
+                <h3 class="camp-week-label">Other events</h3>
+                <ul class="camp-variants">
+                    ${undated.map(camp => `
+                        <li class="camp-variant ${camp.status === 'full' ? 'full' : 'open'}">
+                            <span class="camp-session">${escapeHtml(camp.name)}</span>
+                            <span class="camp-status">${escapeHtml(describeCampStatus(camp))}</span>
+                        </li>
+                    `).join('')}
+                </ul>
+            </section>
+        `;
+    }
+
+    patchHtml(document.getElementById('results'), html, 'camp-calendar');
+}
+
+/**
+ * Get filtered class records for the schedule view: waitlisted classes plus classes with openings
+ */
+function getScheduleClasses() {
+    if (!classModel) return [];
+    return classModel.classes.filter(cls =>
+        (cls.hasWaitlist || cls.reported.openings) && matchesCurrentFilter(cls)
+    );
+}
+
+/**
+ * Display a Mon-Sun x start time grid of classes, colored by waitlist size or open spots
+ */
+function displaySchedule() {
+    const resultsDiv = document.getElementById('results');
+    const noResultsDiv = document.getElementById('noResults');
+    const expandHint = document.getElementById('expandHint');
+
+    // Hide expand hint for schedule view
+    if (expandHint) expandHint.style.display = 'none';
+
+    const classes = getScheduleClasses();
+    const { records, unparsed } = parseClassNames(classes.map(c => c.name));
+
+    if (records.length === 0 && unparsed.length === 0) {
+        resultsDiv.innerHTML = '';
+        noResultsDiv.style.display = 'block';
+        noResultsDiv.querySelector('p').textContent = hasActiveFilters(currentFilters)
+            ? `No classes match your filters (${describeFilters(currentFilters)}).`
+            : 'No classes found.';
+        return;
+    }
+
+    noResultsDiv.style.display = 'none';
+
+    const classByName = new Map(classes.map(c => [c.name, c]));
+
+    // Bucket classes into "day|startMinutes" cells
+    const cells = new Map();
+    for (const record of records) {
+        const key = `${record.day}|${record.startMinutes}`;
+        if (!cells.has(key)) cells.set(key, []);
+        cells.get(key).push(record);
+    }
+    const times = [...new Set(records.map(r => r.startMinutes))].sort((a, b) => a - b);
+
+    // Render one class chip inside a time slot
+    function renderScheduleClass(record) {
+        const cls = classByName.get(record.name);
+        let statusClass;
+        let countLabel;
+        if (cls.waiting > 0) {
+            statusClass = 'status-low';
+            if (cls.waiting >= 15) {
+                statusClass = 'status-high';
+            } else if (cls.waiting >= 8) {
+                statusClass = 'status-medium';
+            }
+            countLabel = `${cls.waiting} waiting`;
+        } else {
+            statusClass = 'status-available';
+            countLabel = `${cls.openSpots} open`;
+        }
+
+        return `
+            <div class="schedule-class ${statusClass}" title="${escapeHtml(record.name)}">
+                <span class="schedule-level">${escapeHtml(record.level)}</span>
+                <span class="schedule-count">${countLabel}</span>
+            </div>
+        `;
+    }
+
+    let html = `
+        <div class="schedule-wrapper">
+            <table class="schedule-grid">
+                <thead>
+                    <tr>
+                        <th scope="col">Time</th>
+                        ${WEEKDAYS.map(d => `<th scope="col" title="${d.long}">${d.label}</th>`).join('')}
+                    </tr>
+                </thead>
+                <tbody>
+    `;
+
+    for (const time of times) {
+        html += `<tr><th scope="row">${formatMinutesOfDay(time)}</th>`;
+        for (let day = 0; day < WEEKDAYS.length; day++) {
+            const slot = (cells.get(`${day}|${time}`) || [])
+                .sort((a, b) => a.level.localeCompare(b.level));
+            html += `<td>${slot.map(renderScheduleClass).join('')}</td>`;
+        }
+        html += '</tr>';
+    }
+
+    html += `
+                </tbody>
+            </table>
+            <div class="schedule-legend">
+                <span class="schedule-class status-available">Open spots</span>
+                <span class="schedule-class status-low">1-7 waiting</span>
+                <span class="schedule-class status-medium">8-14 waiting</span>
+                <span class="schedule-class status-high">15+ waiting</span>
+            </div>
+    `;
+
+    // Classes whose names carry no recognizable day/time
+    if (unparsed.length > 0) {
+        html += `
+            <div class="schedule-unparsed">
+                <strong>Not shown (no day/time in class name):</strong>
+                ${unparsed.map(name => escapeHtml(name)).join(', ')}
+            </div>
+        `;
+    }
+
+    html += '</div>';
+    resultsDiv.innerHTML = html;
+}
 
 /**
- * Display Action Needed section at top of page (classes with openings + waitlist)
- * Uses accurate data from the class checker
+ * Get class records for the insights tab: every class matching the filter
+ */
+function getInsightsClasses() {
+    if (!classModel) return [];
+    return classModel.classes.filter(matchesCurrentFilter);
+}
+
+/**
+ * Display the Insights tab: demand vs capacity, waitlist-to-opening ratio,
+ * oversubscribed time slots and openings nobody is waiting for
+ */
+function displayInsights() {
+    const resultsDiv = document.getElementById('results');
+    const noResultsDiv = document.getElementById('noResults');
+    const expandHint = document.getElementById('expandHint');
+
+    // Hide expand hint for insights view
+    if (expandHint) expandHint.style.display = 'none';
+
+    const insights = buildInsights(getInsightsClasses());
+    if (insights.categories.length === 0) {
+        resultsDiv.innerHTML = '';
+        noResultsDiv.style.display = 'block';
+        noResultsDiv.querySelector('p').textContent = hasActiveFilters(currentFilters)
+            ? `No classes match your filters (${describeFilters(currentFilters)}).`
+            : 'No classes found.';
+        return;
+    }
+
+    noResultsDiv.style.display = 'none';
+
+    const demandChart = renderBarChartSvg(insights.categories.map(cat => ({
+        label: cat.label,
+        segments: [
+            { value: cat.enrolled, className: 'bar-enrolled', title: `${cat.enrolled} enrolled` },
+            { value: cat.waitingWithCapacity, className: 'bar-waiting', title: `${cat.waitingWithCapacity} waiting` },
+            { value: cat.waitingUnknownCapacity, className: 'bar-waiting-unknown', title: `${cat.waitingUnknownCapacity} waiting for sections with unknown capacity` },
+        ],
+        marker: cat.capacity,
+        text: cat.capacity > 0
+            ? `${cat.demand} / ${cat.capacity} seats${cat.waitingUnknownCapacity > 0 ? ` +${cat.waitingUnknownCapacity}` : ''}`
+            : `${cat.waiting} waiting`,
+    })), 'Demand versus capacity by category');
+
+    const ratioChart = renderBarChartSvg(insights.categories.map(cat => ({
+        label: cat.label,
+        segments: [{
+            value: cat.waitingPerOpening ?? 0,
+            className: 'bar-ratio',
+            title: `${cat.waiting} waiting, ${cat.openSpots} open`,
+        }],
+        text: cat.waitingPerOpening !== null
+            ? `${cat.waitingPerOpening.toFixed(1)} per spot`
+            : (cat.waiting > 0 ? 'no openings' : '–'),
+    })), 'People waiting per open spot by category');
+
+    const slotChart = insights.slots.length > 0 ? renderBarChartSvg(insights.slots.map(slot => ({
+        label: slot.label,
+        segments: [
+            { value: slot.openSpots, className: 'bar-open', title: `${slot.openSpots} open` },
+            { value: slot.waiting - slot.openSpots, className: 'bar-waiting', title: slot.classes.join(', ') },
+        ],
+        text: `${slot.waiting} waiting / ${slot.openSpots} open`,
+    })), 'Most oversubscribed time slots') : '<p class="insights-empty">No time slot has more people waiting than open spots.</p>';
+
+    const enrollmentNote = insights.categories
+        .map(cat => `${cat.label}: ${cat.sectionsWithEnrollment} of ${cat.sections}`)
+        .join(' · ');
+
+    resultsDiv.innerHTML = `
+        <div class="insights">
+            <section class="insights-panel">
+                <h3>Demand vs capacity</h3>
+                <p class="insights-hint">
+                    <span class="legend-swatch bar-enrolled"></span> Enrolled
+                    <span class="legend-swatch bar-waiting"></span> Waiting
+                    <span class="legend-swatch bar-waiting-unknown"></span> Waiting, capacity unknown
+                    <span class="legend-swatch marker"></span> Capacity
+                </p>
+                ${demandChart}
+                <p class="insights-note">Enrollment and capacity are only known for sections the class checker has reported (${escapeHtml(enrollmentNote)}). Seat counts compare those sections only; "+N" is everyone waiting for the others.</p>
+            </section>
+            <section class="insights-panel">
+                <h3>Waiting per open spot</h3>
+                ${ratioChart}
+            </section>
+            <section class="insights-panel">
+                <h3>Most oversubscribed time slots</h3>
+                ${slotChart}
+            </section>
+            <section class="insights-panel">
+                <h3>Openings nobody is waiting for (${insights.idleOpenings.length})</h3>
+                ${insights.idleOpenings.length > 0 ? `
+                    <ul class="insights-list">
+                        ${insights.idleOpenings.map(cls => `
+                            <li>${escapeHtml(cls.name)} <span class="insights-count">${cls.openSpots} open</span></li>
+                        `).join('')}
+                    </ul>
+                ` : '<p class="insights-empty">Every class with openings has people waiting.</p>'}
+            </section>
+            <section class="insights-panel">
+                <h3>What if we add a section?</h3>
+                ${renderSectionSimulator(insights.categories.filter(cat => cat.key !== UNCATEGORIZED.key))}
+            </section>
+        </div>
+    `;
+
+    document.getElementById('simulatorForm')?.addEventListener('submit', (e) => {
+        e.preventDefault();
+        const fields = e.target.elements;
+        const [hours, minutes] = fields.time.value.split(':').map(Number);
+        sectionProposal = {
+            category: fields.category.value,
+            dayCode: fields.day.value,
+            startMinutes: hours * 60 + minutes,
+            capacity: Math.max(1, Number(fields.capacity.value) || 1),
+        };
+        displayInsights();
+    });
+}
+
+/**
+ * Render the "add a section" form and, once run, the simulated result
+ */
+function renderSectionSimulator(categories) {
+    if (categories.length === 0) {
+        return '<p class="insights-empty">Pick a category to plan a new section for.</p>';
+    }
+
+    // Default to the filtered category, or the one with the most people waiting
+    const busiest = [...categories].sort((a, b) => b.waiting - a.waiting)[0];
+    const proposal = sectionProposal && categories.some(cat => cat.key === sectionProposal.category)
+        ? sectionProposal
+        : { category: busiest.key, dayCode: 'M', startMinutes: 16 * 60, capacity: 8 };
+    const timeValue = `${String(Math.floor(proposal.startMinutes / 60)).padStart(2, '0')}:${String(proposal.startMinutes % 60).padStart(2, '0')}`;
+
+    let html = `
+        <form id="simulatorForm" class="simulator-form">
+            <label>Category
+                <select name="category">
+                    ${categories.map(cat => `<option value="${escapeHtml(cat.key)}"${cat.key === proposal.category ? ' selected' : ''}>${escapeHtml(cat.label)}</option>`).join('')}
+                </select>
+            </label>
+            <label>Day
+                <select name="day">
+                    ${WEEKDAYS.map(day => `<option value="${day.code}"${day.code === proposal.dayCode ? ' selected' : ''}>${day.long}</option>`).join('')}
+                </select>
+            </label>
+            <label>Start <input type="time" name="time" value="${timeValue}" required></label>
+            <label>Capacity <input type="number" name="capacity" min="1" max="40" value="${proposal.capacity}" required></label>
+            <button type="submit">Simulate</button>
+        </form>
+    `;
+
+    if (!sectionProposal || proposal !== sectionProposal) return html;
+
+    const result = simulateNewSection(classModel.classes, proposal);
+    const dayLabel = WEEKDAYS.find(day => day.code === proposal.dayCode)?.label || proposal.dayCode;
+    html += `
+        <p class="simulator-summary">
+            A ${escapeHtml(dayLabel)} ${escapeHtml(formatMinutesOfDay(proposal.startMinutes))} section would likely fill
+            <strong>${result.seatsFilled} of ${proposal.capacity}</strong> seats from current waitlists,
+            taking waitlist entries from ${result.waitingBefore} to ${result.waitingAfter}.
+        </p>
+    `;
+
+    if (result.sections.length > 0) {
+        html += renderBarChartSvg(result.sections.map(section => ({
+            label: section.schedule ? `${section.schedule.dayLabel} ${section.schedule.timeLabel}` : section.name,
+            segments: [
+                { value: section.waitingAfter, className: 'bar-waiting', title: `${section.name}: ${section.waitingAfter} still waiting` },
+                { value: section.waitingBefore - section.waitingAfter, className: 'bar-open', title: `${section.waitingBefore - section.waitingAfter} move to the new section` },
+            ],
+            text: `${section.waitingBefore} → ${section.waitingAfter}`,
+        })), 'Projected waitlist per existing section');
+    }
+
+    if (result.movers.length > 0) {
+        html += `
+            <details class="simulator-movers">
+                <summary>Students most likely to move (${result.movers.length})</summary>
+                <ul class="insights-list">
+                    ${result.movers.map(mover => `
+                        <li>
+                            ${escapeHtml(mover.name)}
+                            <span class="simulator-from">${mover.from.map(f => `${escapeHtml(f.className)} #${f.position}`).join(', ')}</span>
+                            <span class="insights-count">${Math.round(mover.likelihood * 100)}%</span>
+                        </li>
+                    `).join('')}
+                </ul>
+            </details>
+        `;
+    }
+
+    return html;
+}
+
+/**
+ * Map each class name to its open spots from the class model
+ */
+function getOpenSpotsByClass() {
+    const spots = new Map();
+    for (const cls of classModel?.classes || []) {
+        for (const name of cls.aliases) {
+            spots.set(name, cls.openSpots);
+        }
+    }
+    return spots;
+}
+
+/**
+ * Get households (within the current filters) with more than one child waiting
+ */
+function getSiblingHouseholds() {
+    return buildHouseholds(getFilteredClasses(), loadFamilyOverrides())
+        .filter(household => household.children.length > 1);
+}
+
+/**
+ * Display households with siblings waiting, their classes and positions,
+ * and time slots where an opening lets siblings be placed together
+ */
+function displayFamilies(query = '') {
+    const resultsDiv = document.getElementById('results');
+    const noResultsDiv = document.getElementById('noResults');
+    const expandHint = document.getElementById('expandHint');
+
+    // Hide expand hint for families view
+    if (expandHint) expandHint.style.display = 'none';
+
+    const overrides = loadFamilyOverrides();
+    // Every household can be merged into, including single children with a different last name
+    const allHouseholds = buildHouseholds(getFilteredClasses(), overrides);
+    const openSpots = getOpenSpotsByClass();
+
+    // Searching also finds single children, so they can be merged into a family
+    const households = query
+        ? allHouseholds.filter(h => h.children.some(child => nameMatchesQuery(child.name, query)))
+        : allHouseholds.filter(h => h.children.length > 1);
+
+    const hasOverrides = Object.keys(overrides.merges).length > 0 || Object.keys(overrides.splits).length > 0;
+
+    if (households.length === 0 && !hasOverrides) {
+        resultsDiv.innerHTML = '';
+        noResultsDiv.style.display = 'block';
+        noResultsDiv.querySelector('p').textContent = query
+            ? `No families found matching "${query}".`
+            : 'No families with more than one child waiting.';
+        return;
+    }
+
+    noResultsDiv.style.display = 'none';
+
+    // Households with a placement opportunity first, then by name
+    const rendered = households.map(household => ({
+        household,
+        slots: findSiblingSlots(household, openSpots),
+    }));
+    rendered.sort((a, b) =>
+        Number(b.slots.some(s => s.hasOpening)) - Number(a.slots.some(s => s.hasOpening))
+        || a.household.label.localeCompare(b.household.label)
+    );
+
+    let html = '';
+    for (const { household, slots } of rendered) {
+        const childrenHtml = household.children.map(child => `
+            <li>
+                <div class="family-child">
+                    <span class="student-name">${escapeHtml(child.first || child.name)}</span>
+                    <button type="button" class="family-split" data-student="${escapeHtml(child.name)}" title="This child is not part of this family">Split</button>
+                </div>
+                <ul class="family-classes">
+                    ${child.entries.map(entry => `
+                        <li><span class="next-up-name">#${entry.position}</span> ${escapeHtml(entry.className)}</li>
+                    `).join('')}
+                </ul>
+            </li>
+        `).join('');
+
+        const slotsHtml = slots.map(slot => {
+            const classesText = slot.classes
+                .map(cls => `${cls.children.join(' & ')}: ${cls.className} (${cls.openSpots} open)`)
+                .join('; ');
+            let status = 'same time, no openings yet';
+            let statusClass = '';
+            if (slot.together) {
+                status = 'openings to place together';
+                statusClass = 'together';
+            } else if (slot.hasOpening) {
+                status = 'not enough openings for all';
+                statusClass = 'partial';
+            }
+            return `
+                <div class="family-slot ${statusClass}">
+                    <strong>${escapeHtml(slot.slotLabel)}</strong> - ${status}
+                    <div class="family-slot-classes">${escapeHtml(classesText)}</div>
+                </div>
+            `;
+        }).join('');
+
+        html += `
+            <div class="result-card family-card${slots.some(s => s.together) ? ' status-available' : ''}" data-household="${escapeHtml(household.key)}">
+                <div class="class-name">${escapeHtml(household.label)} family</div>
+                <div class="waitlist-info">
+                    <span class="count">${household.children.length}</span>
+                    <span class="label">${household.children.length === 1 ? 'child' : 'children'} waiting</span>
+                </div>
+                <ul class="family-children">${childrenHtml}</ul>
+                ${slotsHtml}
+                <form class="family-merge">
+                    <label>Merge with:
+                        <input type="text" class="family-merge-input" list="familyMergeChoices" placeholder="Family name" autocomplete="off">
+                    </label>
+                    <button type="submit">Merge</button>
+                </form>
+            </div>
+        `;
+    }
+
+    // One list of every household for all the merge inputs, rather than a select per card
+    html += `
+        <datalist id="familyMergeChoices">
+            ${allHouseholds
+                .map(describeHousehold)
+                .sort((a, b) => a.localeCompare(b))
+                .map(choice => `<option value="${escapeHtml(choice)}"></option>`)
+                .join('')}
+        </datalist>
+    `;
+
+    // List manual overrides so they can be undone
+    if (hasOverrides) {
+        const mergeItems = Object.entries(overrides.merges).map(([from, to]) => `
+            <li>${escapeHtml(from)} merged into ${escapeHtml(to)}
+                <button type="button" class="family-undo" data-merge="${escapeHtml(from)}">Undo</button></li>
+        `).join('');
+        const splitItems = Object.keys(overrides.splits).map(student => `
+            <li>${escapeHtml(student)} split out
+                <button type="button" class="family-undo" data-split="${escapeHtml(student)}">Undo</button></li>
+        `).join('');
+
+        html += `
+            <div class="result-card family-overrides">
+                <div class="class-name">Manual family overrides</div>
+                <ul>${mergeItems}${splitItems}</ul>
+            </div>
+        `;
+    }
+
+    resultsDiv.innerHTML = html;
+}
+
+/**
+ * Handle the family merge/split/undo controls (delegated from the results container)
+ */
+function handleFamilyControls(e) {
+    const control = e.target.closest('.family-split, .family-merge, .family-undo');
+    if (!control) return;
+
+    const isMerge = control.matches('.family-merge');
+    // The merge form acts on submit, buttons on click
+    if (isMerge !== (e.type === 'submit')) return;
+    if (isMerge) e.preventDefault();
+
+    const overrides = loadFamilyOverrides();
+    if (control.matches('.family-split')) {
+        overrides.splits[normalizeFamilyName(control.dataset.student)] = true;
+    } else if (isMerge) {
+        const from = control.closest('.family-card').dataset.household;
+        const input = control.querySelector('.family-merge-input');
+        const choice = input.value.trim().toLowerCase();
+        const households = buildHouseholds(getFilteredClasses(), overrides);
+        const target = households.find(h => describeHousehold(h).toLowerCase() === choice)
+            || households.find(h => h.label.toLowerCase() === choice);
+        if (!target || target.key === from) {
+            input.setCustomValidity('Pick another family from the list');
+            input.reportValidity();
+            input.addEventListener('input', () => input.setCustomValidity(''), { once: true });
+            return;
+        }
+        overrides.merges[from] = target.key;
+    } else {
+        if (control.dataset.merge) delete overrides.merges[control.dataset.merge];
+        if (control.dataset.split) delete overrides.splits[control.dataset.split];
+    }
+    saveFamilyOverrides(overrides);
+    performSearch();
+}
+
+/**
+ * Display the collapsible "Data issues" panel, grouped by class
+ */
+function displayDataIssues(issues) {
+    const panel = document.getElementById('dataIssues');
+
+    // The same problem can be found from more than one list in a file
+    const seen = new Set();
+    const unique = issues.filter(issue => {
+        const key = `${issue.source}|${issue.className}|${issue.message}`;
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+
+    if (unique.length === 0) {
+        panel.style.display = 'none';
+        panel.innerHTML = '';
+        return;
+    }
+
+    const errorCount = unique.filter(issue => issue.severity === 'error').length;
+    const groups = new Map();
+    for (const issue of unique) {
+        const key = issue.className || 'General';
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(issue);
+    }
+
+    // General file-level issues first, then classes alphabetically
+    const groupNames = [...groups.keys()].sort((a, b) =>
+        (a === 'General' ? -1 : b === 'General' ? 1 : a.localeCompare(b))
+    );
+
+    let html = `
+        <summary>
+            Data issues (${unique.length})
+            ${errorCount > 0 ? `<span class="issue-count error">${errorCount} error${errorCount > 1 ? 's' : ''}</span>` : ''}
+        </summary>
+        <div class="data-issues-body">
+    `;
+    for (const groupName of groupNames) {
+        html += `
+            <div class="data-issue-group">
+                <div class="data-issue-class">${escapeHtml(groupName)}</div>
+                <ul>
+                    ${groups.get(groupName).map(issue => `
+                        <li class="data-issue ${issue.severity}">
+                            <span class="data-issue-source">${escapeHtml(issue.source)}</span>
+                            ${escapeHtml(issue.message)}
+                        </li>
+                    `).join('')}
+                </ul>
+            </div>
+        `;
+    }
+    html += '</div>';
+
+    // Keep the panel open/closed across reloads of the data
+    const wasOpen = panel.open;
+    panel.innerHTML = html;
+    panel.open = wasOpen;
+    panel.style.display = 'block';
+}
+
+/**
+ * Load action data from class_action.json (generated by class checker)
+ */
+async function loadActionData(bustCache = false) {
+    try {
+        // No retries: the file may simply not exist until the class checker has run
+        const result = await readDataSourceFile(dataSource, 'action', bustCache, 1);
+        actionData = result.data;
+        if (result.fromCache) usingCachedData = true;
+    } catch (error) {
+        console.log('Could not load action data:', error.message);
+        actionData = null;
+    }
+}
+
+/**
+ * Format how long ago a file was generated ("just now", "25 min ago", "3 h ago", "2 days ago")
+ */
+function formatDataAge(lastUpdated, now = new Date()) {
+    const minutes = Math.max(0, Math.round((now - new Date(lastUpdated)) / 60000));
+    if (minutes < 1) return 'just now';
+    if (minutes < 60) return `${minutes} min ago`;
+    const hours = Math.round(minutes / 60);
+    if (hours < 48) return `${hours} h ago`;
+    return `${Math.round(hours / 24)} days ago`;
+}
+
+/**
+ * Display Action Needed section at top of page (classes with openings + waitlist).
+ * Merges waitlist.json's action_needed with the class checker's immediate_action, labelling each
+ * card with the file(s) that flagged it and highlighting classes the files disagree about.
  */
 function displayActionNeeded() {
-    const actionNeeded = actionData?.immediate_action || [];
+    const fileUpdated = {
+        'waitlist.json': waitlistData?.last_updated || null,
+        'class_action.json': actionData?.last_updated || null,
+    };
+    const loadedFiles = Object.keys(fileUpdated).filter(file => file === 'waitlist.json' ? waitlistData : actionData);
+
+    // Classes either list flagged: ones the files disagree about first so they get checked, then most people waiting
+    const actionNeeded = (classModel?.classes || [])
+        .filter(cls => (cls.reported.actionNeeded || cls.reported.immediateAction) && matchesCurrentFilter(cls))
+        .map(cls => ({ cls, ...getActionConflicts(cls, loadedFiles) }))
+        .sort((a, b) => (b.conflicts.length > 0) - (a.conflicts.length > 0) || b.cls.waiting - a.cls.waiting);
+    const conflictCount = actionNeeded.filter(item => item.conflicts.length > 0).length;
 
     // Get or create the action needed container
     let actionContainer = document.getElementById('actionNeeded');
@@ -825,6 +2681,15 @@ function displayActionNeeded() {
         // Insert before the summary section
         const summaryDiv = document.getElementById('summary');
         summaryDiv.parentNode.insertBefore(actionContainer, summaryDiv);
+
+        // Offer workflow buttons are re-rendered with the cards, so listen on the container
+        actionContainer.addEventListener('click', handleOfferClick);
+        actionContainer.addEventListener('input', (e) => {
+            if (e.target.id === 'staffInitials') {
+                e.target.classList.remove('missing');
+                saveStaffInitials(e.target.value.trim().toUpperCase());
+            }
+        });
     }
 
     if (actionNeeded.length === 0) {
@@ -834,11 +2699,17 @@ function displayActionNeeded() {
 
     actionContainer.style.display = 'block';
 
-    // Format the last updated time for action data
-    let actionUpdated = '';
-    if (actionData?.last_updated) {
-        const date = new Date(actionData.last_updated);
-        actionUpdated = ` (as of ${date.toLocaleTimeString()})`;
+    const sourceLabel = file => fileUpdated[file]
+        ? `${file} · ${new Date(fileUpdated[file]).toLocaleString([], { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' })}`
+        : file;
+
+    // Say which file is older when they were generated at different times
+    let staleNote = '';
+    if (fileUpdated['waitlist.json'] && fileUpdated['class_action.json']) {
+        const gapMinutes = Math.round((new Date(fileUpdated['waitlist.json']) - new Date(fileUpdated['class_action.json'])) / 60000);
+        if (gapMinutes !== 0) {
+            staleNote = ` · ${gapMinutes > 0 ? 'class_action.json' : 'waitlist.json'} is ${Math.abs(gapMinutes)} min older`;
+        }
     }
 
     let html = `
@@ -847,26 +2718,300 @@ function displayActionNeeded() {
                 <span class="action-icon">ATTEND TO</span>
                 CLASSES NEED ATTENTION
             </div>
-            <div class="action-needed-count">${actionNeeded.length} class${actionNeeded.length > 1 ? 'es have' : ' has'} openings + people waiting${actionUpdated}</div>
+            <div class="action-needed-count">
+                ${actionNeeded.length} class${actionNeeded.length > 1 ? 'es have' : ' has'} openings + people waiting${hasActiveFilters(currentFilters) ? ' (matching your filters)' : ''}
+                ${conflictCount > 0 ? `<span class="action-conflict-count">${conflictCount} to double-check</span>` : ''}
+            </div>
+            <div class="action-sources">
+                Sources: ${loadedFiles.map(file => `<span>${escapeHtml(sourceLabel(file))}${fileUpdated[file] ? ` (${formatDataAge(fileUpdated[file])})` : ''}</span>`).join(', ')}${staleNote}
+            </div>
+            <div class="offer-staff">
+                <label for="staffInitials">Staff initials:</label>
+                <input type="text" id="staffInitials" maxlength="4" autocomplete="off" value="${escapeHtml(loadStaffInitials())}">
+                <button type="button" class="offer-export" data-offer-action="export"${offerLog.length === 0 ? ' disabled' : ''}>
+                    Export call log (${offerLog.length})
+                </button>
+            </div>
     `;
 
-    for (const cls of actionNeeded) {
-        const hiddenTag = cls.has_hidden_opening ? ' <span class="hidden-tag">(hidden)</span>' : '';
+    for (const { cls, sources, conflicts } of actionNeeded) {
+        const hiddenTag = cls.hasHiddenOpening ? ' <span class="hidden-tag">(hidden)</span>' : '';
+        const conflictNote = conflicts.length > 0 ? `
+            <div class="action-conflict" role="note">
+                <strong>Check before calling:</strong>
+                <ul>${conflicts.map(message => `<li>${escapeHtml(message)}</li>`).join('')}</ul>
+            </div>
+        ` : '';
         html += `
-            <div class="result-card action-needed-card">
+            <div class="result-card action-needed-card${conflicts.length > 0 ? ' conflict' : ''}" data-key="${escapeHtml(cls.name)}">
                 <div class="class-name">${escapeHtml(cls.name)}${hiddenTag}</div>
                 <div class="action-stats">
-                    <span class="openings">${cls.open_spots} opening${cls.open_spots > 1 ? 's' : ''}</span>
+                    <span class="openings">${cls.openSpots} opening${cls.openSpots > 1 ? 's' : ''}</span>
                     <span class="separator">|</span>
                     <span class="waiting">${cls.waiting} waiting</span>
                 </div>
-                ${renderNextUp(cls.name, cls.open_spots)}
+                <div class="action-card-sources">
+                    ${sources.map(source => `<span class="action-source" title="${escapeHtml(source.list)}">${escapeHtml(sourceLabel(source.file))}</span>`).join('')}
+                </div>
+                ${conflictNote}
+                ${renderOfferWorkflow(cls)}
             </div>
         `;
     }
 
     html += '</div>';
-    actionContainer.innerHTML = html;
+    patchHtml(actionContainer, html, 'action');
+}
+
+/**
+ * Render the students currently being offered a class's open spots, with call outcome buttons
+ */
+function renderOfferWorkflow(cls) {
+    const queue = getOfferQueue(offerLog, cls.name, cls.waitlist, cls.openSpots);
+    if (queue.length === 0) return '';
+
+    const latest = getLatestOffers(offerLog, cls.name);
+    const declinedCount = [...latest.values()].filter(entry => entry.outcome === 'declined').length;
+
+    const rows = queue.map(({ student, entry }) => {
+        const status = entry ? `
+            <span class="offer-status ${entry.outcome}">
+                ${escapeHtml(OFFER_OUTCOMES[entry.outcome])}
+                ${escapeHtml(new Date(entry.timestamp).toLocaleString([], { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' }))}
+                ${escapeHtml(entry.initials)}
+            </span>
+        ` : '';
+        const buttons = Object.entries(OFFER_OUTCOMES).map(([outcome, label]) =>
+            `<button type="button" class="offer-btn ${outcome}" data-outcome="${outcome}">${label}</button>`
+        ).join('');
+
+        return `
+            <div class="offer-row" data-class="${escapeHtml(cls.name)}" data-student="${escapeHtml(student.name)}" data-position="${student.position}">
+                <span class="next-up-name">#${student.position} ${escapeHtml(student.name)}</span>
+                ${status}
+                <div class="offer-buttons">${buttons}</div>
+            </div>
+        `;
+    }).join('');
+
+    const footer = latest.size > 0 ? `
+        <div class="offer-footer">
+            ${declinedCount > 0 ? `${declinedCount} declined` : ''}
+            <button type="button" class="link-btn" data-offer-action="undo" data-class="${escapeHtml(cls.name)}">Undo last</button>
+        </div>
+    ` : '';
+
+    return `<div class="next-up offer-workflow">Next up: ${rows}${footer}</div>`;
+}
+
+/**
+ * Handle clicks on offer outcome, undo and export buttons in the Action Needed section
+ */
+function handleOfferClick(e) {
+    const button = e.target.closest('[data-outcome], [data-offer-action]');
+    if (!button) return;
+
+    if (button.dataset.offerAction === 'export') {
+        const date = new Date().toISOString().slice(0, 10);
+        downloadFile(`offer-log-${date}.csv`, offerLogToCsv(offerLog), 'text/csv');
+        return;
+    }
+
+    if (button.dataset.offerAction === 'undo') {
+        offerLog = undoOfferLogEntry(offerLog, button.dataset.class);
+        displayActionNeeded();
+        return;
+    }
+
+    // Every entry records who made the call
+    const initials = loadStaffInitials();
+    if (!initials) {
+        const input = document.getElementById('staffInitials');
+        input.classList.add('missing');
+        input.focus();
+        return;
+    }
+
+    const row = button.closest('.offer-row');
+    offerLog = addOfferLogEntry(offerLog, {
+        className: row.dataset.class,
+        studentName: row.dataset.student,
+        position: Number(row.dataset.position),
+        outcome: button.dataset.outcome,
+        initials,
+    });
+    displayActionNeeded();
+}
+
+/**
+ * Get the category label and day/time columns for a class, for exports
+ */
+function getClassExportColumns(cls) {
+    return [
+        getClassCategory(cls.name)?.label || '',
+        cls.schedule?.dayLabel || '',
+        cls.schedule?.timeLabel || '',
+    ];
+}
+
+/**
+ * Sort class records by weekday and start time, unparsed names last
+ */
+function compareClassSchedule(a, b) {
+    const dayIndex = cls => {
+        const index = WEEKDAYS.findIndex(day => day.code === cls.schedule?.dayCode);
+        return index === -1 ? WEEKDAYS.length : index;
+    };
+    return dayIndex(a) - dayIndex(b)
+        || (a.schedule?.startMinutes ?? Infinity) - (b.schedule?.startMinutes ?? Infinity)
+        || a.name.localeCompare(b.name);
+}
+
+/**
+ * Build an export table of what the current tab shows, with the filters and search applied.
+ * Tabs without a search box (openings, schedule, camps) ignore the search, like their views do.
+ */
+function getExportTable() {
+    const query = document.getElementById('searchInput').value.trim().toLowerCase();
+    const filterLabel = describeFilters(currentFilters);
+    const titleSuffix = filterLabel ? ` - ${filterLabel}` : '';
+
+    if (currentTab === 'waitlists') {
+        const rows = [];
+        for (const cls of [...getFilteredClasses()].sort(compareClassSchedule)) {
+            for (const entry of cls.waitlist) {
+                if (query && !nameMatchesQuery(entry.name || '', query)) continue;
+                rows.push([cls.name, ...getClassExportColumns(cls), entry.position, entry.name]);
+            }
+        }
+        return {
+            title: `Waitlists${titleSuffix}`,
+            columns: ['Class', 'Category', 'Day', 'Time', 'Position', 'Student'],
+            rows,
+            groupBy: 'Class',
+            callSheet: true,
+        };
+    }
+
+    if (currentTab === 'openings') {
+        const rows = [...getFilteredOpenings()].sort(compareClassSchedule).map(cls => [
+            cls.name, ...getClassExportColumns(cls), cls.openSpots, cls.month || '', cls.waiting, cls.enrolled ?? '', cls.capacity ?? '',
+        ]);
+        return {
+            title: `Classes with Openings${titleSuffix}`,
+            columns: ['Class', 'Category', 'Day', 'Time', 'Open spots', 'Month', 'Waiting', 'Enrolled', 'Capacity'],
+            rows,
+        };
+    }
+
+    if (currentTab === 'schedule') {
+        const rows = [...getScheduleClasses()].sort(compareClassSchedule).map(cls => [
+            ...getClassExportColumns(cls).slice(1), cls.name, getClassCategory(cls.name)?.label || '', cls.openSpots, cls.waiting,
+        ]);
+        return {
+            title: `Schedule${titleSuffix}`,
+            columns: ['Day', 'Time', 'Class', 'Category', 'Open spots', 'Waiting'],
+            rows,
+        };
+    }
+
+    if (currentTab === 'families') {
+        const households = getSiblingHouseholds()
+            .filter(h => !query || h.children.some(child => nameMatchesQuery(child.name, query)))
+            .sort((a, b) => a.label.localeCompare(b.label));
+        const rows = [];
+        for (const household of households) {
+            for (const child of household.children) {
+                for (const entry of child.entries) {
+                    rows.push([household.label, child.name, entry.className, entry.position]);
+                }
+            }
+        }
+        return {
+            title: `Families${titleSuffix}`,
+            columns: ['Family', 'Student', 'Class', 'Position'],
+            rows,
+            groupBy: 'Family',
+            callSheet: true,
+        };
+    }
+
+    if (currentTab === 'insights') {
+        const rows = buildInsights(getInsightsClasses()).categories.map(cat => [
+            cat.label, cat.sections, cat.waiting, cat.openSpots,
+            cat.waitingPerOpening !== null ? cat.waitingPerOpening.toFixed(2) : '',
+            cat.sectionsWithEnrollment, cat.enrolled, cat.capacity, cat.waitingWithCapacity,
+        ]);
+        return {
+            title: `Insights${titleSuffix}`,
+            columns: ['Category', 'Sections', 'Waiting', 'Open spots', 'Waiting per open spot', 'Sections with enrollment', 'Enrolled', 'Capacity', 'Waiting for those sections'],
+            rows,
+        };
+    }
+
+    // Camps
+    const rows = getFilteredCamps().map(camp => [
+        camp.status === 'full' ? 'Full' : 'Openings',
+        camp.name,
+        camp.dateLabel || '',
+        camp.sessionLabel || '',
+        camp.price ?? '',
+        camp.openSpots,
+        camp.waiting,
+        camp.enrolled ?? '',
+    ]);
+    return {
+        title: 'Camps',
+        columns: ['Status', 'Camp', 'Dates', 'Session', 'Price', 'Open spots', 'Waiting', 'Enrolled'],
+        rows,
+    };
+}
+
+/**
+ * Export the current tab as 'csv', 'excel' (CSV for Excel) or 'print' (printable page)
+ */
+function exportCurrentTab(format) {
+    if (!classModel) return;
+
+    const table = getExportTable();
+    const date = new Date().toISOString().slice(0, 10);
+    const filename = `${table.title.toLowerCase().replace(/[^a-z0-9]+/g, '-')}-${date}`;
+
+    if (format === 'print') {
+        const updated = waitlistData?.last_updated ? new Date(waitlistData.last_updated).toLocaleString() : 'unknown';
+        const query = document.getElementById('searchInput').value.trim();
+        const subtitle = `Data as of ${updated}${query && table.callSheet ? ` · Search: "${query}"` : ''}`;
+        const html = buildPrintableHtml(table, subtitle);
+
+        const printWindow = window.open('', '_blank');
+        if (!printWindow) {
+            // Pop-up blocked: save the page instead so it can be opened and printed
+            downloadFile(`${filename}.html`, html, 'text/html');
+            return;
+        }
+        printWindow.document.write(html);
+        printWindow.document.close();
+        printWindow.focus();
+        printWindow.print();
+        return;
+    }
+
+    const excel = format === 'excel';
+    downloadFile(`${filename}.csv`, rowsToCsv(table.columns, table.rows, { excel }), 'text/csv;charset=utf-8');
+}
+
+/**
+ * Save text as a file download
+ */
+function downloadFile(filename, content, type) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
 }
 
 /**
@@ -874,10 +3019,9 @@ function displayActionNeeded() {
  * Returns up to `count` students sorted by position.
  */
 function getNextOnWaitlist(className, count = 1) {
-    if (!waitlistData || !waitlistData.waitlists) return [];
-    const entries = waitlistData.waitlists[className];
-    if (!entries || entries.length === 0) return [];
-    return [...entries].sort((a, b) => a.position - b.position).slice(0, count);
+    const cls = findClassRecord(classModel, className);
+    if (!cls) return [];
+    return cls.waitlist.slice(0, count);
 }
 
 /**
@@ -898,10 +3042,18 @@ function renderNextUp(className, spots) {
 async function checkTriggerServer() {
     const btn = document.getElementById('refreshBtn');
     try {
-        const resp = await fetch(`${TRIGGER_URL}/health`, { signal: AbortSignal.timeout(2000) });
+        const resp = await fetch(`${dataSource.triggerUrl}/health`, { signal: AbortSignal.timeout(2000) });
         if (resp.ok) {
             btn.style.display = 'inline-flex';
-            btn.addEventListener('click', triggerRefresh);
+            btn.addEventListener('click', toggleTriggerPanel);
+            setupTriggerPanel();
+
+            // A scrape started elsewhere (or before a reload) is still worth following, in the open panel
+            const data = await resp.json().catch(() => ({}));
+            if (data.running) {
+                if (document.getElementById('triggerPanel').style.display === 'none') toggleTriggerPanel();
+                followTriggerJob(data.job);
+            }
         }
     } catch {
         // Server not running - hide button (normal for public users)
@@ -909,6 +3061,32 @@ async function checkTriggerServer() {
     }
 }
 
+/**
+ * Fill in the scrape choices and wire up the trigger panel
+ */
+function setupTriggerPanel() {
+    document.getElementById('triggerJobs').insertAdjacentHTML('beforeend', TRIGGER_JOBS.map((job, index) => `
+        <label class="trigger-job">
+            <input type="radio" name="triggerJob" value="${job.key}"${index === 0 ? ' checked' : ''}>
+            ${escapeHtml(job.label)}
+        </label>
+    `).join(''));
+
+    document.getElementById('triggerRunBtn').addEventListener('click', triggerRefresh);
+    document.getElementById('triggerCancelBtn').addEventListener('click', cancelTriggerRefresh);
+    renderTriggerHistory();
+}
+
+/**
+ * Show or hide the trigger panel
+ */
+function toggleTriggerPanel() {
+    const panel = document.getElementById('triggerPanel');
+    const open = panel.style.display === 'none';
+    panel.style.display = open ? 'block' : 'none';
+    document.getElementById('refreshBtn').setAttribute('aria-expanded', open ? 'true' : 'false');
+}
+
 /**
  * Build a progress bar HTML string
  */
@@ -922,79 +3100,161 @@ function buildProgressBar(percent, stepText) {
 }
 
 /**
- * Trigger a manual data refresh via the local server
+ * Show the trigger status line: 'running', 'success' or 'error'
  */
-async function triggerRefresh() {
-    const btn = document.getElementById('refreshBtn');
+function setTriggerStatus(kind, percent, text) {
     const status = document.getElementById('refreshStatus');
-
-    btn.disabled = true;
-    btn.classList.add('spinning');
     status.style.display = 'block';
-    status.className = 'refresh-status running';
-    status.innerHTML = buildProgressBar(10, 'Starting...');
+    status.className = `refresh-status ${kind}`;
+    status.innerHTML = buildProgressBar(percent, text);
+}
+
+/**
+ * Add lines from the trigger server's log to the console
+ */
+function appendTriggerLog(lines) {
+    const pre = document.getElementById('triggerLogText');
+    const atBottom = pre.scrollTop + pre.clientHeight >= pre.scrollHeight - 4;
+
+    for (const line of lines) {
+        const row = document.createElement('div');
+        row.className = `trigger-log-line ${line.level || 'info'}`;
+        const time = line.time ? new Date(line.time).toLocaleTimeString() : '';
+        row.textContent = time ? `${time}  ${line.text}` : line.text;
+        pre.appendChild(row);
+    }
+    document.getElementById('triggerLogCount').textContent = pre.childElementCount;
+
+    // Follow the log unless the user has scrolled up to read it
+    if (atBottom) pre.scrollTop = pre.scrollHeight;
+}
+
+/**
+ * Render the recent runs table
+ */
+function renderTriggerHistory() {
+    const runs = loadTriggerRuns();
+    const container = document.getElementById('triggerHistory');
+    if (runs.length === 0) {
+        container.innerHTML = '';
+        return;
+    }
+
+    const jobLabel = key => TRIGGER_JOBS.find(job => job.key === key)?.label || key;
+    container.innerHTML = `
+        <div class="trigger-history-heading">Recent runs</div>
+        <table>
+            <thead><tr><th>Started</th><th>Scrape</th><th>Duration</th><th>Result</th></tr></thead>
+            <tbody>
+                ${runs.map(run => `
+                    <tr class="trigger-run ${run.result === 'success' ? 'success' : 'error'}">
+                        <td>${escapeHtml(new Date(run.startedAt).toLocaleString([], { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' }))}</td>
+                        <td>${escapeHtml(jobLabel(run.job))}</td>
+                        <td>${escapeHtml(formatRunDuration(run.finishedAt - run.startedAt))}</td>
+                        <td title="${escapeHtml(run.error || '')}">${escapeHtml(run.result)}${run.error ? ` – ${escapeHtml(run.error)}` : ''}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+/**
+ * Trigger a manual data refresh via the local server, running the chosen scrape
+ */
+async function triggerRefresh() {
+    const jobKey = document.querySelector('input[name="triggerJob"]:checked')?.value || TRIGGER_JOBS[0].key;
+    setTriggerStatus('running', 5, 'Starting...');
 
     try {
-        const resp = await fetch(`${TRIGGER_URL}/run-classes`, { method: 'POST' });
-        const data = await resp.json();
-
-        if (resp.status === 409) {
-            status.innerHTML = buildProgressBar(0, 'A scrape is already running. Please wait.');
-            status.className = 'refresh-status error';
-            btn.disabled = false;
-            btn.classList.remove('spinning');
+        const { status, data } = await startTriggerJob(dataSource.triggerUrl, jobKey);
+        if (status === 409) {
+            const running = TRIGGER_JOBS.find(job => job.key === data.job)?.label;
+            setTriggerStatus('error', 0, `${running ? `A ${running.toLowerCase()} scrape` : 'A scrape'} is already running. Please wait.`);
             return;
         }
-
-        if (data.status === 'started') {
-            const result = await pollUntilDone(status);
-            if (result === 'success') {
-                status.className = 'refresh-status success';
-                status.innerHTML = buildProgressBar(100, 'Data updated! Reloading...');
-                setTimeout(async () => {
-                    await loadData(true);
-                    status.innerHTML = buildProgressBar(100, 'Data refreshed successfully.');
-                    setTimeout(() => { status.style.display = 'none'; }, 3000);
-                }, 5000);
-            } else {
-                status.className = 'refresh-status error';
-                status.innerHTML = buildProgressBar(0, `Scrape failed (${result}). Try again.`);
-                setTimeout(() => { status.style.display = 'none'; }, 5000);
-            }
+        if (data.status !== 'started') {
+            setTriggerStatus('error', 0, `The server didn't start the scrape (HTTP ${status}${data.error ? `: ${data.error}` : ''}).`);
+            return;
         }
-    } catch (err) {
-        status.className = 'refresh-status error';
-        status.innerHTML = buildProgressBar(0, 'Could not reach local server.');
-        setTimeout(() => { status.style.display = 'none'; }, 5000);
-    } finally {
-        btn.disabled = false;
-        btn.classList.remove('spinning');
+    } catch {
+        setTriggerStatus('error', 0, 'Could not reach local server.');
+        return;
     }
+
+    await followTriggerJob(jobKey);
 }
 
 /**
- * Poll the trigger server until the scrape is complete, updating progress bar
+ * Follow a running scrape to the end: progress, log, cancel button, run history and data reload
  */
-async function pollUntilDone(statusEl, maxWait = 600000) {
-    const start = Date.now();
-    while (Date.now() - start < maxWait) {
-        await new Promise(r => setTimeout(r, 2000));
-        try {
-            const resp = await fetch(`${TRIGGER_URL}/health`);
-            const data = await resp.json();
-            if (data.progress) {
-                statusEl.innerHTML = buildProgressBar(
-                    data.progress.percent || 0,
-                    data.progress.step || 'Working...'
-                );
-            }
-            if (!data.running) return data.last_result;
-        } catch {
-            // Server might be busy
+async function followTriggerJob(jobKey) {
+    const btn = document.getElementById('refreshBtn');
+    const runBtn = document.getElementById('triggerRunBtn');
+    const cancelBtn = document.getElementById('triggerCancelBtn');
+    const startedAt = Date.now();
+
+    btn.classList.add('spinning');
+    runBtn.disabled = true;
+    cancelBtn.disabled = false;
+    document.getElementById('triggerLogText').innerHTML = '';
+    document.getElementById('triggerLogCount').textContent = '0';
+    setTriggerStatus('running', 5, 'Working...');
+
+    const { result, error } = await watchTriggerJob(dataSource.triggerUrl, {
+        onProgress: progress => setTriggerStatus('running', progress.percent || 0, progress.step || 'Working...'),
+        onLog: appendTriggerLog,
+    });
+
+    btn.classList.remove('spinning');
+    runBtn.disabled = false;
+    cancelBtn.disabled = true;
+    addTriggerRun(loadTriggerRuns(), { job: jobKey || TRIGGER_JOBS[0].key, startedAt, finishedAt: Date.now(), result, error });
+    renderTriggerHistory();
+
+    if (result === 'success') {
+        setTriggerStatus('success', 100, 'Data updated! Reloading...');
+        setTimeout(async () => {
+            await loadData(true);
+            setTriggerStatus('success', 100, 'Data refreshed successfully.');
+
+            // Clear the message after a moment, unless another scrape has started since
+            const status = document.getElementById('refreshStatus');
+            setTimeout(() => {
+                if (status.classList.contains('success')) status.style.display = 'none';
+            }, 3000);
+        }, 5000);
+    } else if (result === 'cancelled') {
+        setTriggerStatus('error', 0, 'Scrape cancelled.');
+    } else {
+        setTriggerStatus('error', 0, `Scrape ${result}${error ? `: ${error}` : ''}. See the log for details.`);
+        document.getElementById('triggerLog').open = true;
+    }
+}
+
+/**
+ * Ask the trigger server to stop the running scrape
+ */
+async function cancelTriggerRefresh() {
+    const cancelBtn = document.getElementById('triggerCancelBtn');
+    cancelBtn.disabled = true;
+    try {
+        const { status } = await cancelTriggerJob(dataSource.triggerUrl);
+        if (status === 404) {
+            setTriggerStatus('error', 0, 'This trigger server can\'t cancel scrapes. Waiting for it to finish...');
+        } else if (status !== 409) {
+            setTriggerStatus('running', 0, 'Cancelling...');
         }
+    } catch {
+        cancelBtn.disabled = false;
     }
-    return 'timeout';
 }
 
-// Check for trigger server on page load
-document.addEventListener('DOMContentLoaded', checkTriggerServer);
+// Cache the app shell and last good data for offline use
+if ('serviceWorker' in navigator) {
+    window.addEventListener('load', () => {
+        navigator.serviceWorker.register('sw.js').catch(error => {
+            showToast('Offline mode unavailable', `The page won't work without a connection in this browser (${error.message}).`, 8000);
+        });
+    });
+}
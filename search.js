@@ -0,0 +1,219 @@
+// Student name search
+// Accent-, punctuation- and typo-tolerant matching with scores and highlight ranges,
+// so "stoneberner" finds "Stoneburner, Harrison" and "gruenhagen georgie" finds "Gruenhagen , Georgie".
+
+const SEARCH_SCORES = {
+    exact: 100,
+    prefix: 90,
+    substring: 70,
+    fuzzy: 60,        // minus 15 per edit
+    phonetic: 40,
+};
+
+const nameTokenCache = new Map();
+
+/**
+ * Normalize text for matching: no accents, lowercase, no apostrophes
+ */
+function normalizeSearchText(text) {
+    return (text || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/['\u2019`]/g, '');
+}
+
+/**
+ * Split a query into normalized words
+ */
+function tokenizeQuery(query) {
+    return normalizeSearchText(query)
+        .split(/[^a-z0-9]+/)
+        .filter(word => word.length > 0);
+}
+
+/**
+ * Split a student name into normalized tokens that remember where each character came from,
+ * so matches can be highlighted in the original text
+ */
+function tokenizeName(name) {
+    if (nameTokenCache.has(name)) return nameTokenCache.get(name);
+
+    const tokens = [];
+    const wordPattern = /[^\s,()\-/.]+/g;
+    let match;
+    while ((match = wordPattern.exec(name)) !== null) {
+        let text = '';
+        const sourceIndex = [];
+        for (let i = 0; i < match[0].length; i++) {
+            const normalized = normalizeSearchText(match[0][i]);
+            for (const ch of normalized) {
+                text += ch;
+                sourceIndex.push(match.index + i);
+            }
+        }
+        if (text) {
+            tokens.push({ text, sourceIndex, soundex: soundex(text) });
+        }
+    }
+
+    nameTokenCache.set(name, tokens);
+    return tokens;
+}
+
+/**
+ * American Soundex code for a normalized word ("stoneburner" -> "S356")
+ */
+function soundex(word) {
+    const letters = word.replace(/[^a-z]/g, '');
+    if (!letters) return '';
+
+    const codes = { b: 1, f: 1, p: 1, v: 1, c: 2, g: 2, j: 2, k: 2, q: 2, s: 2, x: 2, z: 2, d: 3, t: 3, l: 4, m: 5, n: 5, r: 6 };
+    let result = letters[0].toUpperCase();
+    let previous = codes[letters[0]] || 0;
+
+    for (let i = 1; i < letters.length && result.length < 4; i++) {
+        const ch = letters[i];
+        const code = codes[ch] || 0;
+        if (code && code !== previous) result += code;
+        // "h" and "w" don't separate letters with the same code; vowels do
+        if (ch !== 'h' && ch !== 'w') previous = code;
+    }
+    return result.padEnd(4, '0');
+}
+
+/**
+ * Edit distance with adjacent transpositions, giving up once it exceeds `max`
+ */
+function editDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+
+    let prevPrev = null;
+    let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            let value = Math.min(prev[j] + 1, current[j - 1] + 1, prev[j - 1] + cost);
+            if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                value = Math.min(value, prevPrev[j - 2] + 1);
+            }
+            current.push(value);
+            rowMin = Math.min(rowMin, value);
+        }
+        if (rowMin > max) return max + 1;
+        prevPrev = prev;
+        prev = current;
+    }
+    return prev[b.length];
+}
+
+/**
+ * Number of typos tolerated for a query word of this length
+ */
+function allowedEdits(length) {
+    if (length <= 3) return 0;
+    if (length <= 7) return 1;
+    return 2;
+}
+
+/**
+ * Score one query word against one name token.
+ * Returns { score, from, to } (normalized character range) or null.
+ */
+function scoreToken(word, token) {
+    const text = token.text;
+    if (text === word) return { score: SEARCH_SCORES.exact, from: 0, to: text.length };
+    if (text.startsWith(word)) return { score: SEARCH_SCORES.prefix, from: 0, to: word.length };
+
+    const index = text.indexOf(word);
+    if (index !== -1) return { score: SEARCH_SCORES.substring, from: index, to: index + word.length };
+
+    const maxEdits = allowedEdits(word.length);
+    if (maxEdits > 0) {
+        // Compare against the whole token and against a same-length prefix (for partly typed names)
+        const distance = Math.min(
+            editDistance(word, text, maxEdits),
+            editDistance(word, text.slice(0, word.length), maxEdits)
+        );
+        if (distance <= maxEdits) {
+            return { score: SEARCH_SCORES.fuzzy - 15 * distance, from: 0, to: text.length };
+        }
+    }
+
+    // Sounding alike isn't enough on its own ("johnson" and "jameson" share a code), so the
+    // name must start the same way and be spelled close: at most half the query word's letters changed
+    if (word.length >= 3 && text.startsWith(word.slice(0, 2)) && soundex(word) === token.soundex) {
+        const maxPhoneticEdits = Math.floor(word.length / 2);
+        if (editDistance(word, text, maxPhoneticEdits) <= maxPhoneticEdits) {
+            return { score: SEARCH_SCORES.phonetic, from: 0, to: text.length };
+        }
+    }
+    return null;
+}
+
+/**
+ * Match a student name against a search query.
+ * Every query word must match some part of the name.
+ * Returns { score, ranges: [[start, end]] } with ranges in the original name, or null.
+ */
+function matchStudentName(name, query) {
+    const words = tokenizeQuery(query);
+    if (words.length === 0 || !name) return null;
+
+    const tokens = tokenizeName(name);
+    let total = 0;
+    const ranges = [];
+
+    for (const word of words) {
+        let best = null;
+        for (const token of tokens) {
+            const result = scoreToken(word, token);
+            if (result && (!best || result.score > best.score)) {
+                best = { ...result, token };
+            }
+        }
+        if (!best) return null;
+
+        total += best.score;
+        const start = best.token.sourceIndex[best.from];
+        const end = best.token.sourceIndex[best.to - 1] + 1;
+        ranges.push([start, end]);
+    }
+
+    return { score: total / words.length, ranges: mergeRanges(ranges) };
+}
+
+/**
+ * Sort and merge overlapping [start, end] ranges
+ */
+function mergeRanges(ranges) {
+    const sorted = [...ranges].sort((a, b) => a[0] - b[0]);
+    const merged = [];
+    for (const range of sorted) {
+        const last = merged[merged.length - 1];
+        if (last && range[0] <= last[1]) {
+            last[1] = Math.max(last[1], range[1]);
+        } else {
+            merged.push([...range]);
+        }
+    }
+    return merged;
+}
+
+/**
+ * Escape a name and wrap the matched ranges in <mark>
+ */
+function highlightMatch(name, ranges) {
+    if (!ranges || ranges.length === 0) return escapeHtml(name);
+
+    let html = '';
+    let cursor = 0;
+    for (const [start, end] of ranges) {
+        html += escapeHtml(name.slice(cursor, start));
+        html += `<mark>${escapeHtml(name.slice(start, end))}</mark>`;
+        cursor = end;
+    }
+    return html + escapeHtml(name.slice(cursor));
+}
@@ -0,0 +1,69 @@
+// "Add a section" simulator
+// Estimates which waitlisted students in a category would move to a proposed new section,
+// based on how close its day/time is to the class they're waiting for and whether their class
+// mixes age levels, and how much each existing waitlist would shrink.
+
+const SECTION_SIMULATOR = {
+    comboFactor: 0.7,        // Only some students in a combo class are at the new section's level
+    positionWeight: 0.4,     // How much further back in line makes a student keener to switch
+    minLikelihood: 0.25,     // Below this, assume the student stays put
+};
+
+/**
+ * Simulate adding a section to a category.
+ * `proposal` is { category, dayCode, startMinutes, capacity }; `classes` are class records.
+ * Returns { movers, sections, seatsFilled, waitingBefore, waitingAfter }.
+ */
+function simulateNewSection(classes, proposal) {
+    const sections = classes.filter(cls => cls.category === proposal.category && cls.hasWaitlist);
+
+    // One candidate per student: someone waiting for several sections moves once, from all of them
+    const candidates = new Map();
+    for (const cls of sections) {
+        const levelFactor = cls.schedule?.isCombo ? SECTION_SIMULATOR.comboFactor : 1;
+        const proximity = scoreSlotProximity(cls.schedule, proposal.dayCode, proposal.startMinutes);
+        const lastPosition = Math.max(1, cls.waitlist.length - 1);
+
+        for (const entry of cls.waitlist) {
+            const keenness = 1 - SECTION_SIMULATOR.positionWeight
+                + SECTION_SIMULATOR.positionWeight * ((entry.position - 1) / lastPosition);
+            const likelihood = proximity * levelFactor * keenness;
+
+            // Same student-name normalization as the families view, so the same child merges the same way
+            const key = normalizeFamilyName(entry.name);
+            const candidate = candidates.get(key) || { name: entry.name, likelihood: 0, from: [] };
+            candidate.from.push({ className: cls.name, position: entry.position });
+            candidate.likelihood = Math.max(candidate.likelihood, likelihood);
+            candidates.set(key, candidate);
+        }
+    }
+
+    const movers = [...candidates.values()]
+        .filter(c => c.likelihood >= SECTION_SIMULATOR.minLikelihood)
+        .sort((a, b) => b.likelihood - a.likelihood || a.name.localeCompare(b.name))
+        .slice(0, proposal.capacity);
+
+    const leaving = new Map();
+    for (const mover of movers) {
+        for (const { className } of mover.from) {
+            leaving.set(className, (leaving.get(className) || 0) + 1);
+        }
+    }
+
+    const sectionResults = sections
+        .map(cls => ({
+            name: cls.name,
+            schedule: cls.schedule,
+            waitingBefore: cls.waiting,
+            waitingAfter: cls.waiting - (leaving.get(cls.name) || 0),
+        }))
+        .sort((a, b) => (b.waitingBefore - b.waitingAfter) - (a.waitingBefore - a.waitingAfter) || a.name.localeCompare(b.name));
+
+    return {
+        movers,
+        sections: sectionResults,
+        seatsFilled: movers.length,
+        waitingBefore: sectionResults.reduce((sum, s) => sum + s.waitingBefore, 0),
+        waitingAfter: sectionResults.reduce((sum, s) => sum + s.waitingAfter, 0),
+    };
+}
@@ -0,0 +1,99 @@
+// Snapshot diff
+// Compares two datasets ({ waitlist, action }, as stored in history.js) and lists what changed:
+// students added/removed/moved per class, classes gaining or losing openings, and camps that
+// moved between camps_with_openings and camps_with_waitlist.
+
+/**
+ * Compare one class's waitlist between two datasets.
+ * Returns { added, removed, moved } with students sorted by position.
+ */
+function diffWaitlist(beforeEntries, afterEntries) {
+    const beforeByName = new Map((beforeEntries || []).map(e => [e.name, e]));
+    const afterByName = new Map((afterEntries || []).map(e => [e.name, e]));
+
+    const added = [];
+    const moved = [];
+    for (const entry of afterByName.values()) {
+        const previous = beforeByName.get(entry.name);
+        if (!previous) {
+            added.push({ name: entry.name, position: entry.position });
+        } else if (previous.position !== entry.position) {
+            moved.push({ name: entry.name, from: previous.position, to: entry.position });
+        }
+    }
+
+    const removed = [...beforeByName.values()]
+        .filter(entry => !afterByName.has(entry.name))
+        .map(entry => ({ name: entry.name, position: entry.position }));
+
+    const byPosition = (a, b) => (a.position ?? a.to) - (b.position ?? b.to);
+    return {
+        added: added.sort(byPosition),
+        removed: removed.sort(byPosition),
+        moved: moved.sort(byPosition),
+    };
+}
+
+/**
+ * Find camps that moved between the openings and waitlist lists
+ */
+function diffCamps(beforeWaitlist, afterWaitlist) {
+    const names = list => new Set((list || []).map(camp => camp?.name).filter(Boolean));
+    const openBefore = names(beforeWaitlist?.camps_with_openings);
+    const fullBefore = names(beforeWaitlist?.camps_with_waitlist);
+    const openAfter = names(afterWaitlist?.camps_with_openings);
+    const fullAfter = names(afterWaitlist?.camps_with_waitlist);
+
+    return {
+        nowWaitlisted: [...fullAfter].filter(name => openBefore.has(name)).sort(),
+        nowOpen: [...openAfter].filter(name => fullBefore.has(name)).sort(),
+    };
+}
+
+/**
+ * Compare two datasets. `before` and `after` are { waitlist, action } objects.
+ * Returns { classes, openingsGained, openingsLost, camps, changeCount }.
+ */
+function diffSnapshots(before, after) {
+    const beforeModel = buildClassModel(before?.waitlist, before?.action);
+    const afterModel = buildClassModel(after?.waitlist, after?.action);
+
+    // Pair records by normalized name so renamed spacing doesn't show up as a change
+    const keys = new Set([...beforeModel.byKey.keys(), ...afterModel.byKey.keys()]);
+
+    const classes = [];
+    const openingsGained = [];
+    const openingsLost = [];
+    for (const key of keys) {
+        const old = beforeModel.byKey.get(key);
+        const current = afterModel.byKey.get(key);
+        const name = (current || old).name;
+
+        const changes = diffWaitlist(old?.waitlist, current?.waitlist);
+        if (changes.added.length || changes.removed.length || changes.moved.length) {
+            classes.push({ name, ...changes });
+        }
+
+        const spotsBefore = old?.openSpots || 0;
+        const spotsAfter = current?.openSpots || 0;
+        if (spotsAfter > spotsBefore) {
+            openingsGained.push({ name, before: spotsBefore, after: spotsAfter, waiting: current.waiting });
+        } else if (spotsAfter < spotsBefore) {
+            openingsLost.push({ name, before: spotsBefore, after: spotsAfter, waiting: current?.waiting || 0 });
+        }
+    }
+
+    const byName = (a, b) => a.name.localeCompare(b.name);
+    classes.sort(byName);
+    // Gained openings in waitlisted classes first: those are the calls to make
+    openingsGained.sort((a, b) => b.waiting - a.waiting || byName(a, b));
+    openingsLost.sort(byName);
+
+    const camps = diffCamps(before?.waitlist, after?.waitlist);
+
+    const changeCount = classes.reduce((sum, cls) => sum + cls.added.length + cls.removed.length + cls.moved.length, 0)
+        + openingsGained.length + openingsLost.length
+        + camps.nowWaitlisted.length + camps.nowOpen.length;
+
+    return { classes, openingsGained, openingsLost, camps, changeCount };
+}
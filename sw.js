@@ -0,0 +1,126 @@
+// Service worker: keeps the tracker usable when the gym's wifi drops.
+// The app shell is served from cache and refreshed in the background; data files (and
+// config.json and categories.json, so an edited file shows up on the next load) go to the
+// network first and fall back to the last good copy, marked with an X-Served-From-Cache header.
+
+const SHELL_CACHE = 'waitlist-shell-v19';
+const DATA_CACHE = 'waitlist-data';  // Must match DATA_CACHE in script.js
+
+const SHELL_FILES = [
+    './',
+    'index.html',
+    'style.css',
+    'script.js',
+    'renderer.js',
+    'a11y.js',
+    'class-parser.js',
+    'categories.js',
+    'camp-parser.js',
+    'history.js',
+    'projection.js',
+    'families.js',
+    'search.js',
+    'validator.js',
+    'class-model.js',
+    'snapshot-diff.js',
+    'data-source.js',
+    'router.js',
+    'exports.js',
+    'offers.js',
+    'watch.js',
+    'refresh-schedule.js',
+    'trigger-client.js',
+    'insights.js',
+    'section-simulator.js',
+    'class-matcher.js',
+    'filters.js',
+    'logo.png',
+];
+
+const DATA_FILE_PATTERN = /\/(waitlist|class_action|categories|config)\.json$/;
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(SHELL_FILES))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    // Drop shell caches from older versions
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys
+                    .filter(key => key.startsWith('waitlist-shell-') && key !== SHELL_CACHE)
+                    .map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    // Requests the page marks no-cache (a ?config=<url> file of any name) are fresh-first too
+    if (DATA_FILE_PATTERN.test(url.pathname) || request.cache === 'no-cache') {
+        event.respondWith(networkFirstData(request, url));
+    } else if (url.origin === self.location.origin) {
+        event.respondWith(staleWhileRevalidate(request));
+    }
+});
+
+/**
+ * Fetch data from the network and cache it; fall back to the last good copy
+ */
+async function networkFirstData(request, url) {
+    // Cache-busting query strings (?t=...) share one cache entry
+    const cacheKey = `${url.origin}${url.pathname}`;
+    const cache = await caches.open(DATA_CACHE);
+
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            await cache.put(cacheKey, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(cacheKey);
+        if (!cached) throw error;
+        return markAsCached(cached);
+    }
+}
+
+/**
+ * Copy a cached response with a header telling the page it isn't fresh
+ */
+async function markAsCached(response) {
+    const headers = new Headers(response.headers);
+    headers.set('X-Served-From-Cache', '1');
+    return new Response(await response.blob(), {
+        status: response.status,
+        statusText: response.statusText,
+        headers,
+    });
+}
+
+/**
+ * Serve the app shell from cache right away and update the cache in the background
+ */
+async function staleWhileRevalidate(request) {
+    const cache = await caches.open(SHELL_CACHE);
+    const cached = await cache.match(request, { ignoreSearch: true });
+
+    const network = fetch(request)
+        .then(response => {
+            if (response.ok) cache.put(request, response.clone());
+            return response;
+        })
+        .catch(() => cached || Response.error());
+
+    return cached || network;
+}
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./load-scripts');
+
+const app = loadScripts(['class-parser.js', 'camp-parser.js']);
+
+const REFERENCE = new Date(2026, 4, 1);
+const parse = name => app.parseCampName(name, REFERENCE);
+
+test('parses dates, theme, session, hours and price', () => {
+    const camp = parse('6/22-6/25 Fairy Tale Fantasy Camp FULL DAY 8:30am - 4:00 pm $420');
+    assert.equal(app.toDateKey(camp.startDate), '2026-06-22');
+    assert.equal(app.toDateKey(camp.endDate), '2026-06-25');
+    assert.equal(camp.dateLabel, 'Jun 22–25');
+    assert.equal(camp.theme, 'Fairy Tale Fantasy Camp');
+    assert.equal(camp.session, 'full');
+    assert.equal(camp.sessionLabel, 'Full day');
+    assert.equal(camp.startMinutes, 8 * 60 + 30);
+    assert.equal(camp.endMinutes, 16 * 60);
+    assert.equal(camp.price, 420);
+    assert.equal(camp.weekKey, '2026-06-22');
+});
+
+test('handles short and cross-month date ranges and single days', () => {
+    assert.equal(parse('6/8-11 Ninja Camp').dateLabel, 'Jun 8–11');
+    assert.equal(parse('6/29 - 7/2 Sports Camp').dateLabel, 'Jun 29–Jul 2');
+    const single = parse('5/8 Parents Night Out');
+    assert.equal(single.dateLabel, 'May 8');
+    assert.equal(single.theme, 'Parents Night Out');
+});
+
+test('picks the year closest to the reference date', () => {
+    const winter = app.parseCampName('12/29-1/2 Winter Camp', new Date(2026, 11, 1));
+    assert.equal(app.toDateKey(winter.startDate), '2026-12-29');
+    assert.equal(app.toDateKey(winter.endDate), '2027-01-02');
+    assert.equal(app.toDateKey(app.parseCampName('1/5-1/8 New Year Camp', new Date(2026, 11, 1)).startDate), '2027-01-05');
+});
+
+test('labels half-day sessions by their start time and leaves missing fields null', () => {
+    assert.equal(parse('6/22-6/25 Camp HALF DAY 9:00-12:00').sessionLabel, 'Half day (AM)');
+    assert.equal(parse('6/22-6/25 Camp HALF DAY 1:00pm-4:00pm').sessionLabel, 'Half day (PM)');
+    const bare = parse('6/22-6/25 Camp');
+    assert.equal(bare.session, null);
+    assert.equal(bare.startMinutes, null);
+    assert.equal(bare.price, null);
+});
+
+test('returns null for undated events and impossible months', () => {
+    assert.equal(parse('Friday Fun Days!'), null);
+    assert.equal(parse('13/1-13/4 Camp'), null);
+    assert.equal(parse(null), null);
+});
+
+test('groups half- and full-day variants of a theme by week', () => {
+    const waitlist = {
+        camps_with_openings: [
+            { name: '6/22-6/25 Art Camp HALF DAY 9:00am-12:00pm $200', open_spots: 3 },
+            { name: '6/29-7/2 Sports Camp FULL DAY 8:30am-4:00pm $420', open_spots: 1 },
+            { name: 'Friday Fun Days!', open_spots: 5 },
+        ],
+        camps_with_waitlist: [
+            { name: '6/22-6/25 Art Camp FULL DAY 8:30am-4:00pm $420', waitlist: 2 },
+        ],
+    };
+    const camps = app.buildCampRecords(waitlist, REFERENCE);
+    assert.equal(camps.length, 4);
+    assert.equal(camps[3].status, 'full');
+    assert.equal(camps[3].priority, true);
+
+    const weeks = app.groupCampsByWeek(camps);
+    assert.deepEqual([...weeks.map(week => week.label)], ['Week of Jun 22', 'Week of Jun 29']);
+    assert.equal(weeks[0].themes.length, 1);
+    assert.deepEqual([...weeks[0].themes[0].variants.map(camp => camp.session)], ['full', 'half']);
+
+    assert.equal(app.filterCamps(camps, { week: '', session: 'half', maxPrice: '' }).length, 1);
+    assert.equal(app.filterCamps(camps, { week: '', session: '', maxPrice: '300' }).length, 2);
+});
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { loadScripts } = require('./load-scripts');
+
+const FILE_DEFINITIONS = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'categories.json'), 'utf8')).categories;
+
+/**
+ * Load categories.js with a fake categories.json response and localStorage
+ */
+function loadWithFile(fileDefinitions, stored = {}) {
+    const fetch = async () => (fileDefinitions
+        ? { ok: true, status: 200, json: async () => ({ categories: fileDefinitions }) }
+        : { ok: false, status: 404 });
+    const localStorage = {
+        getItem: key => stored[key] ?? null,
+        setItem: (key, value) => { stored[key] = value; },
+        removeItem: key => { delete stored[key]; },
+    };
+    return loadScripts(['class-parser.js', 'categories.js'], { fetch, localStorage });
+}
+
+test('built-in categories match categories.json', () => {
+    const app = loadScripts(['class-parser.js', 'categories.js']);
+    assert.deepEqual(JSON.parse(JSON.stringify(app.run('DEFAULT_CATEGORY_DEFINITIONS'))), FILE_DEFINITIONS);
+});
+
+test('falls back to the built-in categories when the file is missing', async () => {
+    const app = loadWithFile(null);
+    const loaded = await app.loadCategoryDefinitions();
+    assert.equal(loaded.source, 'default');
+    assert.equal(loaded.fileError, 'HTTP 404');
+    assert.equal(loaded.definitions.length, FILE_DEFINITIONS.length);
+});
+
+test('notices when categories.json changed since local edits were saved', async () => {
+    const stored = {};
+    const app = loadWithFile(FILE_DEFINITIONS, stored);
+    const edits = [{ key: 'REC', label: 'Rec', pattern: '^REC' }];
+
+    app.saveCategoryOverrides(edits, app.getCategoriesVersion(FILE_DEFINITIONS));
+    let loaded = await app.loadCategoryDefinitions();
+    assert.equal(loaded.source, 'local');
+    assert.equal(loaded.fileChanged, false);
+
+    const changed = loadWithFile([...FILE_DEFINITIONS, { key: 'NEW', label: 'New', pattern: '^NEW' }], stored);
+    loaded = await changed.loadCategoryDefinitions();
+    assert.equal(loaded.source, 'local');
+    assert.equal(loaded.fileChanged, true);
+    assert.equal(loaded.definitions[0].key, 'REC');
+});
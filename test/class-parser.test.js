@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, readDataFile } = require('./load-scripts');
+
+const app = loadScripts(['class-parser.js']);
+
+test('parses the level, day and start time from a class name', () => {
+    const record = app.parseClassName('INTERMEDIATE / T 6:30');
+    assert.equal(record.level, 'INTERMEDIATE');
+    assert.equal(record.dayCode, 'T');
+    assert.equal(record.dayLabel, 'Tue');
+    assert.equal(record.startMinutes, 18 * 60 + 30);
+    assert.equal(record.timeLabel, '6:30 PM');
+    assert.equal(record.isCombo, false);
+});
+
+test('reads two-letter day codes and combo classes', () => {
+    const record = app.parseClassName('3/4s - TREMENDOUS 3s/FABULOUS 4s (COMBO) TH 9:15');
+    assert.equal(record.dayCode, 'TH');
+    assert.equal(record.level, '3/4s - TREMENDOUS 3s/FABULOUS 4s (COMBO)');
+    assert.equal(record.isCombo, true);
+    assert.equal(record.timeLabel, '9:15 AM');
+    assert.equal(app.parseClassName('NZ - LIL NINJA /SU 10:00').dayCode, 'SU');
+});
+
+test('treats 12:xx without am/pm as noon', () => {
+    const record = app.parseClassName('HOME SCHOOL / T 12:30');
+    assert.equal(record.startMinutes, 12 * 60 + 30);
+    assert.equal(record.timeLabel, '12:30 PM');
+});
+
+test('uses am/pm when the name has it', () => {
+    assert.equal(app.parseClassName('BEGINNER / S 12:00am').startMinutes, 0);
+    assert.equal(app.parseClassName('BEGINNER / S 9:00pm').startMinutes, 21 * 60);
+    assert.equal(app.parseClassName('BEGINNER / S 7:45').timeLabel, '7:45 PM');
+    assert.equal(app.parseClassName('BEGINNER / S 8:00').timeLabel, '8:00 AM');
+});
+
+test('leaves names without a day and time unparsed', () => {
+    const { records, unparsed } = app.parseClassNames(['ADVANCED / W 5:15', 'OPEN GYM', 'BEGINNER / X 4:00']);
+    assert.deepEqual([...records.map(r => r.name)], ['ADVANCED / W 5:15']);
+    assert.deepEqual([...unparsed], ['OPEN GYM', 'BEGINNER / X 4:00']);
+});
+
+test('parses every class in the sample data', () => {
+    const { unparsed } = app.parseClassNames(Object.keys(readDataFile('waitlist.json').waitlists));
+    assert.deepEqual([...unparsed], []);
+});
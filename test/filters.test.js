@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./load-scripts');
+
+const app = loadScripts(['class-parser.js', 'categories.js', 'refresh-schedule.js', 'filters.js']);
+
+const cls = (overrides = {}) => ({
+    category: 'INTERMEDIATE',
+    schedule: { dayCode: 'M', startMinutes: 17 * 60 },
+    waiting: 3,
+    openSpots: 0,
+    hasHiddenOpening: false,
+    ...overrides,
+});
+const UNCATEGORIZED = app.run('UNCATEGORIZED');
+const filters = overrides => ({ ...app.createEmptyFilters(), ...overrides });
+
+test('an empty filter matches every class', () => {
+    assert.equal(app.hasActiveFilters(app.createEmptyFilters()), false);
+    assert.equal(app.matchesFilters(cls(), app.createEmptyFilters()), true);
+    assert.equal(app.matchesFilters(cls({ schedule: null }), app.createEmptyFilters()), true);
+});
+
+test('every part that is set has to match', () => {
+    const evening = filters({ categories: ['INTERMEDIATE', 'ADVANCED'], days: ['M'], after: 16 * 60 });
+    assert.equal(app.matchesFilters(cls(), evening), true);
+    assert.equal(app.matchesFilters(cls({ category: 'MASTER' }), evening), false);
+    assert.equal(app.matchesFilters(cls({ schedule: { dayCode: 'T', startMinutes: 17 * 60 } }), evening), false);
+    assert.equal(app.matchesFilters(cls({ schedule: { dayCode: 'M', startMinutes: 15 * 60 } }), evening), false);
+    // A class with no parsed schedule can't satisfy a time filter
+    assert.equal(app.matchesFilters(cls({ schedule: null }), filters({ before: 20 * 60 })), false);
+
+    assert.equal(app.matchesFilters(cls({ waiting: 1 }), filters({ minWaiting: 2 })), false);
+    assert.equal(app.matchesFilters(cls({ waiting: 5 }), filters({ maxWaiting: 4 })), false);
+    assert.equal(app.matchesFilters(cls(), filters({ hasOpenings: true })), false);
+    assert.equal(app.matchesFilters(cls({ openSpots: 2 }), filters({ hasOpenings: true })), true);
+});
+
+test('the uncategorized option matches classes without a category', () => {
+    const other = filters({ categories: [UNCATEGORIZED.key] });
+    assert.equal(app.matchesFilters(cls({ category: null }), other), true);
+    assert.equal(app.matchesFilters(cls(), other), false);
+});
+
+test('removing a chip clears only that part', () => {
+    const before = filters({ categories: ['INTERMEDIATE', 'ADVANCED'], days: ['M'], minWaiting: 2, hasOpenings: true });
+    const ids = app.describeFilterChips(before).map(chip => chip.id);
+    assert.deepEqual([...ids], ['cat:INTERMEDIATE', 'cat:ADVANCED', 'day:M', 'minWaiting', 'hasOpenings']);
+
+    let after = app.removeFilterChip(before, 'cat:ADVANCED');
+    assert.deepEqual([...after.categories], ['INTERMEDIATE']);
+    assert.deepEqual([...before.categories], ['INTERMEDIATE', 'ADVANCED']);
+    after = app.removeFilterChip(after, 'minWaiting');
+    assert.equal(after.minWaiting, null);
+    after = app.removeFilterChip(after, 'hasOpenings');
+    assert.equal(after.hasOpenings, false);
+});
+
+test('filters survive a round trip through the URL', () => {
+    const original = filters({ categories: ['ADVANCED', UNCATEGORIZED.key], days: ['M', 'W'], after: 16 * 60 + 30, maxWaiting: 0, hasHiddenOpenings: true });
+    const route = app.filtersToRoute(original);
+    assert.equal(route.after, '16:30');
+    assert.equal(route.wmax, '0');
+    assert.deepEqual(JSON.parse(JSON.stringify(app.routeToFilters(route))), original);
+});
+
+test('unknown categories and days in the URL are dropped', () => {
+    const parsed = app.routeToFilters({ cat: 'advanced,nope,ADVANCED', days: 'm,funday', wmin: '-1', after: '25:00' });
+    assert.deepEqual([...parsed.categories], ['ADVANCED']);
+    assert.deepEqual([...parsed.days], ['M']);
+    assert.equal(parsed.minWaiting, null);
+    assert.equal(parsed.after, null);
+});
@@ -0,0 +1,30 @@
+// Test helper: the app is plain browser scripts sharing globals, so tests load them into a fresh
+// VM context in index.html order and call the functions they declare.
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const ROOT = path.join(__dirname, '..');
+
+/**
+ * Load repo scripts (paths relative to the repo root) into a new context.
+ * Returns the context; `context.run(code)` evaluates code there, e.g. to read a top-level const.
+ */
+function loadScripts(files, globals = {}) {
+    const context = vm.createContext({ console, URL, URLSearchParams, ...globals });
+    for (const file of files) {
+        vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, { filename: file });
+    }
+    context.run = code => vm.runInContext(code, context);
+    return context;
+}
+
+/**
+ * Read a file from the repo's data/ folder as JSON
+ */
+function readDataFile(name) {
+    return JSON.parse(fs.readFileSync(path.join(ROOT, 'data', name), 'utf8'));
+}
+
+module.exports = { loadScripts, readDataFile };
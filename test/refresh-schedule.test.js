@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./load-scripts');
+
+const app = loadScripts(['refresh-schedule.js']);
+
+const TIMES = ['8:00', '13:30', '18:00'];
+// Local times on one day, so the tests don't depend on the machine's time zone
+const at = (hours, minutes = 0, day = 10) => new Date(2026, 2, day, hours, minutes);
+
+test('parses 24-hour update times and skips invalid ones', () => {
+    assert.equal(app.parseUpdateTime('13:30'), 13 * 60 + 30);
+    assert.equal(app.parseUpdateTime(' 8:05 '), 8 * 60 + 5);
+    assert.equal(app.parseUpdateTime('24:00'), null);
+    assert.equal(app.parseUpdateTime('1pm'), null);
+    assert.deepEqual([...app.getUpdateMinutes(['18:00', 'bad', '8:00'])], [8 * 60, 18 * 60]);
+});
+
+test('finds the previous and next scheduled updates, across midnight', () => {
+    assert.equal(app.getPreviousUpdateTime(at(14), TIMES).getTime(), at(13, 30).getTime());
+    assert.equal(app.getNextUpdateTime(at(14), TIMES).getTime(), at(18).getTime());
+    assert.equal(app.getPreviousUpdateTime(at(7), TIMES).getTime(), at(18, 0, 9).getTime());
+    assert.equal(app.getNextUpdateTime(at(19), TIMES).getTime(), at(8, 0, 11).getTime());
+    assert.equal(app.getNextUpdateTime(at(19), []), null);
+});
+
+test('waits for the next update plus a delay when the data is current', () => {
+    const plan = app.planNextRefresh(at(14), TIMES, at(13, 35).toISOString());
+    assert.equal(plan.overdue, false);
+    assert.equal(plan.expected.getTime(), at(18).getTime());
+    assert.equal(plan.at.getTime(), at(18, 5).getTime());
+});
+
+test('retries with growing gaps while an update is overdue', () => {
+    const stale = at(9).toISOString();
+    const gaps = [0, 1, 2, 3, 4, 10].map(attempt => {
+        const plan = app.planNextRefresh(at(14), TIMES, stale, attempt);
+        assert.equal(plan.overdue, true);
+        assert.equal(plan.expected.getTime(), at(13, 30).getTime());
+        return (plan.at - at(14)) / 60000;
+    });
+    assert.deepEqual(gaps, [5, 10, 20, 40, 60, 60]);
+});
+
+test('never retries later than the next scheduled update', () => {
+    const plan = app.planNextRefresh(at(17, 50), TIMES, at(9).toISOString(), 4);
+    assert.equal(plan.at.getTime(), at(18, 5).getTime());
+});
+
+test('treats missing data as overdue', () => {
+    assert.equal(app.planNextRefresh(at(14), TIMES, null).overdue, true);
+});
+
+test('formats the countdown', () => {
+    assert.equal(app.formatCountdown(at(15, 5), at(14)), '1h 5m');
+    assert.equal(app.formatCountdown(at(14, 4), at(14)), '4m');
+    assert.equal(app.formatCountdown(at(13), at(14)), '0m');
+});
@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, readDataFile } = require('./load-scripts');
+
+const app = loadScripts(['search.js'], { escapeHtml: text => text });
+
+const studentNames = [...new Set(Object.values(readDataFile('waitlist.json').waitlists).flat().map(entry => entry.name))];
+const findStudents = query => studentNames.filter(name => app.matchStudentName(name, query));
+
+test('finds names despite a typo or missing letter', () => {
+    assert.deepEqual(findStudents('stoneberner'), ['Stoneburner, Harrison']);
+    assert.deepEqual(findStudents('hoelcher'), ['Hoelscher, Hannah', 'Hoelscher, Henley']);
+    assert.deepEqual(findStudents('gruenhagen georgie'), ['Gruenhagen , Georgie']);
+});
+
+test('does not match different surnames that are a couple of letters apart', () => {
+    assert.deepEqual(findStudents('johnson'), ['Johnson, Reagan', 'Johnson, Wesley']);
+    assert.deepEqual(findStudents('minger'), ['Minger, Toren', 'Minger, Talvi']);
+    assert.equal(app.matchStudentName('Jensen, Nolan', 'johnson'), null);
+    assert.equal(app.matchStudentName('Burke, Jameson', 'johnson'), null);
+    assert.equal(app.matchStudentName('Miller, Kennedy', 'minger'), null);
+    assert.equal(app.matchStudentName('Gaffney- Miller', 'minger'), null);
+});
+
+test('needs more than a shared soundex code for a phonetic match', () => {
+    assert.equal(app.matchStudentName('Santi, Ava', 'smith'), null);
+    assert.equal(app.matchStudentName('Rhett, Bo', 'red'), null);
+    assert.ok(app.matchStudentName('John, Al', 'jon'));
+});
+
+test('ranks exact and prefix matches above fuzzy ones', () => {
+    const exact = app.matchStudentName('Smith, Otto', 'smith');
+    const prefix = app.matchStudentName('Smithson, Ann', 'smith');
+    const fuzzy = app.matchStudentName('Smyth, Ann', 'smith');
+    assert.ok(exact.score > prefix.score);
+    assert.ok(prefix.score > fuzzy.score);
+});
+
+test('highlights the matched part of the original name', () => {
+    const match = app.matchStudentName('Stoneburner, Harrison', 'harr');
+    assert.deepEqual(JSON.parse(JSON.stringify(match.ranges)), [[13, 17]]);
+    assert.equal(app.highlightMatch('Stoneburner, Harrison', match.ranges), 'Stoneburner, <mark>Harr</mark>ison');
+});
+
+test('ignores accents, case and apostrophes', () => {
+    assert.ok(app.matchStudentName('Ó’Brien, Zoë', 'obrien zoe'));
+});
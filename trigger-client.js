@@ -0,0 +1,139 @@
+// Trigger server client
+// Talks to the local trigger server that runs the scrapers (mock-trigger-server.js implements the
+// same API for testing):
+//   GET  /health            { running, job, progress: { percent, step }, last_result, last_error }
+//   POST /run-classes, /run-camps, /run-action-checker
+//                           { status: 'started', job }, or 409 while another scrape is running
+//   POST /cancel            { status: 'cancelling' }, or 409 when nothing is running
+//   GET  /log?since=<n>     { lines: [{ time, level, text }], next } for the current or last run
+// Older servers only have /health and /run-classes; the other features switch off when they 404.
+
+const TRIGGER_JOBS = [
+    { key: 'classes', label: 'Classes', path: '/run-classes' },
+    { key: 'camps', label: 'Camps', path: '/run-camps' },
+    { key: 'actions', label: 'Action checker', path: '/run-action-checker' },
+];
+
+const TRIGGER_CLIENT = {
+    pollMs: 2000,
+    requestTimeoutMs: 5000,
+    maxMissedPolls: 15,   // Give up after this many failed polls in a row (30 seconds)
+    historyLimit: 10,     // Recent runs kept in the history
+};
+
+const TRIGGER_RUNS_KEY = 'waitlist-tracker:trigger-runs';
+
+/**
+ * Call the trigger server. Returns { status, ok, data } with `data` {} when the body isn't JSON.
+ */
+async function triggerRequest(baseUrl, path, method = 'GET') {
+    const resp = await fetch(`${baseUrl}${path}`, { method, signal: AbortSignal.timeout(TRIGGER_CLIENT.requestTimeoutMs) });
+    let data = {};
+    try {
+        data = await resp.json();
+    } catch {
+        // Plain-text error pages
+    }
+    return { status: resp.status, ok: resp.ok, data };
+}
+
+/**
+ * Start a scrape (a TRIGGER_JOBS key)
+ */
+function startTriggerJob(baseUrl, jobKey) {
+    const job = TRIGGER_JOBS.find(j => j.key === jobKey) || TRIGGER_JOBS[0];
+    return triggerRequest(baseUrl, job.path, 'POST');
+}
+
+/**
+ * Ask the server to stop the running scrape
+ */
+function cancelTriggerJob(baseUrl) {
+    return triggerRequest(baseUrl, '/cancel', 'POST');
+}
+
+/**
+ * Get log lines from index `since` on. Returns { lines, next }, or null if the server has no log.
+ */
+async function fetchTriggerLog(baseUrl, since) {
+    const { status, data } = await triggerRequest(baseUrl, `/log?since=${since}`);
+    if (status === 404) return null;
+    return {
+        lines: Array.isArray(data.lines) ? data.lines : [],
+        next: Number.isInteger(data.next) ? data.next : since,
+    };
+}
+
+/**
+ * Poll the server until the scrape finishes, passing progress ({ percent, step }) and new log
+ * lines to the callbacks. There's no fixed time limit: a scrape runs as long as the server
+ * says it's running, and only losing contact with the server ends the wait early.
+ * Returns { result, error } where result is the server's last_result, or 'unreachable'.
+ */
+async function watchTriggerJob(baseUrl, { onProgress, onLog }) {
+    let missed = 0;
+    let logCursor = 0;
+    let hasLog = true;
+
+    for (;;) {
+        await new Promise(r => setTimeout(r, TRIGGER_CLIENT.pollMs));
+        try {
+            const { ok, status, data } = await triggerRequest(baseUrl, '/health');
+            // An error page says nothing about the scrape, so it counts as a missed poll
+            if (!ok) throw new Error(`HTTP ${status}`);
+            missed = 0;
+            if (data.progress) onProgress(data.progress);
+
+            if (hasLog) {
+                const log = await fetchTriggerLog(baseUrl, logCursor);
+                if (log === null) {
+                    hasLog = false;
+                } else {
+                    logCursor = log.next;
+                    if (log.lines.length > 0) onLog(log.lines);
+                }
+            }
+
+            if (!data.running) {
+                return { result: data.last_result || 'unknown', error: data.last_error || '' };
+            }
+        } catch (error) {
+            missed += 1;
+            if (missed >= TRIGGER_CLIENT.maxMissedPolls) {
+                return { result: 'unreachable', error: `Lost contact with the trigger server (${error.message})` };
+            }
+        }
+    }
+}
+
+/**
+ * Load the recent runs started from this browser, newest first:
+ * [{ job, startedAt, finishedAt, result, error }]
+ */
+function loadTriggerRuns() {
+    try {
+        const runs = JSON.parse(localStorage.getItem(TRIGGER_RUNS_KEY));
+        return Array.isArray(runs) ? runs : [];
+    } catch {
+        return [];
+    }
+}
+
+/**
+ * Record a finished run, keeping the most recent TRIGGER_CLIENT.historyLimit
+ */
+function addTriggerRun(runs, run) {
+    const updated = [run, ...runs].slice(0, TRIGGER_CLIENT.historyLimit);
+    localStorage.setItem(TRIGGER_RUNS_KEY, JSON.stringify(updated));
+    return updated;
+}
+
+/**
+ * Format a run's duration as "4m 05s" or "38s"
+ */
+function formatRunDuration(ms) {
+    const totalSeconds = Math.max(0, Math.round(ms / 1000));
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = totalSeconds % 60;
+    return minutes > 0 ? `${minutes}m ${String(seconds).padStart(2, '0')}s` : `${seconds}s`;
+}
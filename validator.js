@@ -0,0 +1,215 @@
+// Data validation
+// Checks waitlist.json and class_action.json for scraper regressions (missing or duplicate
+// positions, gaps, repeated students, unknown class types) so they show up the day they happen.
+
+/**
+ * Create a data issue record
+ */
+function dataIssue(severity, source, className, message) {
+    return { severity, source, className: className || null, message };
+}
+
+/**
+ * Check that a value is a non-negative integer
+ */
+function isCount(value) {
+    return Number.isInteger(value) && value >= 0;
+}
+
+/**
+ * Check that a timestamp string parses as a date
+ */
+function isValidTimestamp(value) {
+    return typeof value === 'string' && !Number.isNaN(new Date(value).getTime());
+}
+
+/**
+ * Validate one class's waitlist entries
+ */
+function validateWaitlistEntries(className, entries, source) {
+    const issues = [];
+
+    if (!Array.isArray(entries)) {
+        issues.push(dataIssue('error', source, className, 'Waitlist is not a list'));
+        return issues;
+    }
+
+    const positions = new Map();
+    const names = new Map();
+
+    entries.forEach((entry, index) => {
+        if (!entry || typeof entry !== 'object') {
+            issues.push(dataIssue('error', source, className, `Entry ${index + 1} is not an object`));
+            return;
+        }
+
+        if (entry.position === undefined || entry.position === null) {
+            issues.push(dataIssue('error', source, className, `Entry ${index + 1} (${entry.name || 'no name'}) is missing a position`));
+        } else if (!Number.isInteger(entry.position) || entry.position < 1) {
+            issues.push(dataIssue('error', source, className, `Entry ${index + 1} has an invalid position: ${JSON.stringify(entry.position)}`));
+        } else {
+            positions.set(entry.position, (positions.get(entry.position) || 0) + 1);
+        }
+
+        if (!entry.name || typeof entry.name !== 'string' || !entry.name.trim()) {
+            issues.push(dataIssue('error', source, className, `Entry at position ${entry.position ?? '?'} is missing a name`));
+        } else {
+            const key = normalizeSearchText(entry.name).replace(/[^a-z]/g, '');
+            if (names.has(key)) {
+                issues.push(dataIssue('warning', source, className, `${entry.name} is listed twice (positions ${names.get(key)} and ${entry.position})`));
+            } else {
+                names.set(key, entry.position);
+            }
+        }
+    });
+
+    for (const [position, count] of positions) {
+        if (count > 1) {
+            issues.push(dataIssue('error', source, className, `Position ${position} is used ${count} times`));
+        }
+    }
+
+    // Positions should run 1..n with no gaps
+    const maxPosition = Math.max(0, ...positions.keys());
+    const missing = [];
+    for (let p = 1; p <= maxPosition; p++) {
+        if (!positions.has(p)) missing.push(p);
+    }
+    if (missing.length > 0) {
+        issues.push(dataIssue('warning', source, className, `Gap in positions: missing ${missing.join(', ')}`));
+    }
+
+    return issues;
+}
+
+/**
+ * Validate a class name's category and day/time
+ */
+function validateClassName(className, source) {
+    const issues = [];
+    if (!getClassCategory(className)) {
+        issues.push(dataIssue('warning', source, className, 'Class does not match any known class type'));
+    }
+    if (!parseClassName(className)) {
+        issues.push(dataIssue('warning', source, className, 'Could not read a day and time from the class name'));
+    }
+    return issues;
+}
+
+/**
+ * Validate waitlist.json. Returns a list of issues.
+ */
+function validateWaitlistData(data) {
+    const source = 'waitlist.json';
+    const issues = [];
+
+    if (!data || typeof data !== 'object') {
+        return [dataIssue('error', source, null, 'File is empty or not a JSON object')];
+    }
+
+    if (!isValidTimestamp(data.last_updated)) {
+        issues.push(dataIssue('error', source, null, 'Missing or invalid last_updated timestamp'));
+    }
+
+    if (!data.waitlists || typeof data.waitlists !== 'object') {
+        issues.push(dataIssue('error', source, null, 'Missing waitlists'));
+    } else {
+        for (const [className, entries] of Object.entries(data.waitlists)) {
+            issues.push(...validateClassName(className, source));
+            issues.push(...validateWaitlistEntries(className, entries, source));
+        }
+    }
+
+    const checkList = (key, requiredCounts) => {
+        const list = data[key];
+        if (list === undefined) return;
+        if (!Array.isArray(list)) {
+            issues.push(dataIssue('error', source, null, `${key} is not a list`));
+            return;
+        }
+        list.forEach((item, index) => {
+            const className = item?.name;
+            if (!className) {
+                issues.push(dataIssue('error', source, null, `${key} entry ${index + 1} is missing a name`));
+                return;
+            }
+            for (const field of requiredCounts) {
+                if (!isCount(item[field])) {
+                    issues.push(dataIssue('error', source, className, `${key}: ${field} is missing or not a count (${JSON.stringify(item[field])})`));
+                }
+            }
+        });
+    };
+
+    checkList('classes_with_openings', ['open_spots']);
+    checkList('action_needed', ['open_spots', 'waiting', 'enrolled']);
+    checkList('camps_with_openings', ['open_spots']);
+    checkList('camps_with_waitlist', ['waitlist']);
+
+    for (const cls of Array.isArray(data.classes_with_openings) ? data.classes_with_openings : []) {
+        if (!cls?.name) continue;
+        if (!cls.classId) {
+            issues.push(dataIssue('warning', source, cls.name, 'classes_with_openings: missing classId'));
+        }
+        issues.push(...validateClassName(cls.name, source));
+    }
+
+    for (const cls of Array.isArray(data.action_needed) ? data.action_needed : []) {
+        if (cls?.name && !cls.classId) {
+            issues.push(dataIssue('warning', source, cls.name, 'action_needed: missing classId'));
+        }
+    }
+
+    return issues;
+}
+
+/**
+ * Validate class_action.json. Returns a list of issues.
+ * A missing file isn't an issue (the class checker may not have run yet).
+ */
+function validateActionData(data) {
+    const source = 'class_action.json';
+    if (data === null || data === undefined) return [];
+
+    const issues = [];
+    if (typeof data !== 'object') {
+        return [dataIssue('error', source, null, 'File is not a JSON object')];
+    }
+
+    if (!isValidTimestamp(data.last_updated)) {
+        issues.push(dataIssue('error', source, null, 'Missing or invalid last_updated timestamp'));
+    }
+
+    if (!Array.isArray(data.immediate_action)) {
+        issues.push(dataIssue('error', source, null, 'immediate_action is missing or not a list'));
+        return issues;
+    }
+
+    if (data.total_action_needed !== undefined && data.total_action_needed !== data.immediate_action.length) {
+        issues.push(dataIssue('warning', source, null,
+            `total_action_needed is ${data.total_action_needed} but immediate_action lists ${data.immediate_action.length}`));
+    }
+
+    const seenIds = new Set();
+    data.immediate_action.forEach((cls, index) => {
+        if (!cls?.name) {
+            issues.push(dataIssue('error', source, null, `immediate_action entry ${index + 1} is missing a name`));
+            return;
+        }
+        for (const field of ['open_spots', 'waiting', 'active', 'max_students']) {
+            if (!isCount(cls[field])) {
+                issues.push(dataIssue('error', source, cls.name, `${field} is missing or not a count (${JSON.stringify(cls[field])})`));
+            }
+        }
+        if (!cls.class_id) {
+            issues.push(dataIssue('warning', source, cls.name, 'Missing class_id'));
+        } else if (seenIds.has(cls.class_id)) {
+            issues.push(dataIssue('warning', source, cls.name, `class_id ${cls.class_id} is listed twice`));
+        } else {
+            seenIds.add(cls.class_id);
+        }
+        issues.push(...validateClassName(cls.name, source));
+    });
+
+    return issues;
+}
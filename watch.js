@@ -0,0 +1,135 @@
+// Watch list
+// Students and classes someone wants to hear about, stored in localStorage along with the
+// position and open spots last seen, so changes are noticed across reloads as well as
+// background re-fetches.
+
+const WATCH_LIST_KEY = 'waitlist-tracker:watch-list';
+
+/**
+ * Load the watch list: { students: [{ className, name, position, openSpots }], classes: [{ className, openSpots }] }
+ */
+function loadWatchList() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(WATCH_LIST_KEY));
+        return {
+            students: Array.isArray(stored?.students) ? stored.students : [],
+            classes: Array.isArray(stored?.classes) ? stored.classes : [],
+        };
+    } catch {
+        return { students: [], classes: [] };
+    }
+}
+
+/**
+ * Save the watch list to localStorage
+ */
+function saveWatchList(watchList) {
+    localStorage.setItem(WATCH_LIST_KEY, JSON.stringify(watchList));
+}
+
+/**
+ * Check whether anything is being watched
+ */
+function isWatchListEmpty(watchList) {
+    return watchList.students.length === 0 && watchList.classes.length === 0;
+}
+
+/**
+ * Check whether a student in a class is watched
+ */
+function isStudentWatched(watchList, className, name) {
+    return watchList.students.some(s => s.className === className && s.name === name);
+}
+
+/**
+ * Check whether a class is watched
+ */
+function isClassWatched(watchList, className) {
+    return watchList.classes.some(c => c.className === className);
+}
+
+/**
+ * Start or stop watching a student, remembering what the model shows now. Returns the updated list.
+ */
+function toggleWatchedStudent(watchList, model, className, name) {
+    const students = isStudentWatched(watchList, className, name)
+        ? watchList.students.filter(s => !(s.className === className && s.name === name))
+        : [...watchList.students, { className, name, ...getWatchedState(model, className, name) }];
+    const updated = { ...watchList, students };
+    saveWatchList(updated);
+    return updated;
+}
+
+/**
+ * Start or stop watching a class. Returns the updated list.
+ */
+function toggleWatchedClass(watchList, model, className) {
+    const classes = isClassWatched(watchList, className)
+        ? watchList.classes.filter(c => c.className !== className)
+        : [...watchList.classes, { className, openSpots: getWatchedState(model, className).openSpots }];
+    const updated = { ...watchList, classes };
+    saveWatchList(updated);
+    return updated;
+}
+
+/**
+ * Read a student's position (if given) and their class's open spots from the class model
+ */
+function getWatchedState(model, className, name = null) {
+    const record = findClassRecord(model, className);
+    const entry = name ? record?.waitlist.find(e => e.name === name) : null;
+    return {
+        position: entry ? entry.position : null,
+        openSpots: record?.openSpots || 0,
+    };
+}
+
+/**
+ * Compare the watch list's last-seen values against the model.
+ * Returns { alerts: [{ title, body, tag }], watchList } where watchList holds the new values.
+ */
+function findWatchAlerts(watchList, model) {
+    const alerts = [];
+    const announcedOpenings = new Set();
+
+    const checkOpening = (className, previousSpots, openSpots) => {
+        if (openSpots > 0 && !(previousSpots > 0) && !announcedOpenings.has(className)) {
+            announcedOpenings.add(className);
+            alerts.push({
+                title: `Opening in ${className}`,
+                body: `${className} now has ${openSpots} open spot${openSpots > 1 ? 's' : ''}.`,
+                tag: `opening:${className}`,
+            });
+        }
+    };
+
+    const students = watchList.students.map(student => {
+        const current = getWatchedState(model, student.className, student.name);
+
+        if (current.position !== null && student.position !== null && current.position < student.position) {
+            alerts.push(current.position === 1
+                ? {
+                    title: `${student.name} is now #1`,
+                    body: `${student.name} is first on the ${student.className} waitlist.`,
+                    tag: `student:${student.className}|${student.name}`,
+                }
+                : {
+                    title: `${student.name} moved up`,
+                    body: `${student.name} moved from #${student.position} to #${current.position} on the ${student.className} waitlist.`,
+                    tag: `student:${student.className}|${student.name}`,
+                });
+        }
+        checkOpening(student.className, student.openSpots, current.openSpots);
+
+        // Keep the last known position if the student dropped off the list
+        return { ...student, position: current.position ?? student.position, openSpots: current.openSpots };
+    });
+
+    const classes = watchList.classes.map(cls => {
+        const { openSpots } = getWatchedState(model, cls.className);
+        checkOpening(cls.className, cls.openSpots, openSpots);
+        return { ...cls, openSpots };
+    });
+
+    return { alerts, watchList: { students, classes } };
+}